@@ -0,0 +1,82 @@
+import { config } from './config.js';
+
+export const PLATFORMS = ['blur', 'opensea'];
+
+// Bids on one platform are flipped into the other
+export const OPPOSITE_PLATFORM = { blur: 'opensea', opensea: 'blur' };
+
+// Type of every config.bid.<platform> field a collection may override
+export const BID_FIELD_TYPES = {
+  minBidAmount: 'decimal',
+  maxBidAmount: 'decimal',
+  bidDeduction: 'decimal',
+  roundingPrecision: 'decimal',
+  outbidAmount: 'decimal',
+  gasCost: 'decimal',
+  enabled: 'boolean',
+  offerProtection: 'boolean',
+  quantity: 'integer',
+  expirationSeconds: 'integer',
+  renewalLeadSeconds: 'integer',
+};
+
+export const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+// Parsers return undefined for values of the wrong type. Decimals are kept
+// as strings to match the global config values.
+const FIELD_PARSERS = {
+  decimal: (value) => {
+    const text = typeof value === 'number' ? String(value) : value;
+    return typeof text === 'string' && DECIMAL_PATTERN.test(text)
+      ? text
+      : undefined;
+  },
+  boolean: (value) => (typeof value === 'boolean' ? value : undefined),
+  integer: (value) =>
+    Number.isInteger(value) && value > 0 ? value : undefined,
+};
+
+// Validate a collection's `bid` overrides, e.g. { blur: { maxBidAmount: '0.5' } }
+export const validateBidOverrides = (overrides, label) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`Bid overrides for ${label} must be an object`);
+  }
+
+  const validated = {};
+  for (const [platform, fields] of Object.entries(overrides)) {
+    if (!PLATFORMS.includes(platform)) {
+      throw new Error(
+        `Unknown platform "${platform}" in ${label} bid overrides`,
+      );
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error(
+        `Bid overrides for ${label} ${platform} must be an object`,
+      );
+    }
+
+    validated[platform] = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const type = BID_FIELD_TYPES[field];
+      if (!type) {
+        throw new Error(`Unknown bid field "${field}" in ${label} ${platform}`);
+      }
+      const parsed = FIELD_PARSERS[type](value);
+      if (parsed === undefined) {
+        throw new Error(
+          `Invalid ${field} for ${label} ${platform}: expected ${type}, got ${JSON.stringify(value)}`,
+        );
+      }
+      validated[platform][field] = parsed;
+    }
+  }
+  return validated;
+};
+
+// Effective settings for one platform: global config.bid with overrides applied
+export const resolveBidSettings = (platform, overrides = null) => {
+  if (!PLATFORMS.includes(platform)) {
+    throw new Error(`Invalid platform: ${platform}`);
+  }
+  return { ...config.bid[platform], ...(overrides?.[platform] || {}) };
+};
@@ -14,6 +14,7 @@ const config = {
       process.env.RPC_URL ||
       `https://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
     chainId: parseInt(process.env.CHAIN_ID || '1'),
+    chainName: process.env.CHAIN_NAME || 'ethereum', // Opensea API chain
     maxGasPrice: process.env.MAX_GAS_PRICE || '100',
     maxPriorityFee: process.env.MAX_PRIORITY_FEE || '2',
   },
@@ -31,6 +32,39 @@ const config = {
     alchemy: process.env.ALCHEMY_API_KEY,
   },
 
+  // Marketplace contracts (Ethereum mainnet)
+  contracts: {
+    weth:
+      process.env.WETH_ADDRESS || '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    seaport:
+      process.env.SEAPORT_ADDRESS ||
+      '0x0000000000000068F116a894984e2DB1123eB395', // Seaport 1.6
+    openseaConduitKey:
+      process.env.OPENSEA_CONDUIT_KEY ||
+      '0x0000007b02230091a7ed01230072f7006a004d60a8d4e71d599b8104250f0000',
+    blurExchange:
+      process.env.BLUR_EXCHANGE_ADDRESS ||
+      '0xb2ecfE4E4D61f8790bbb9DE2D1259B9e2410CEA5', // Blur Exchange V2
+    openseaConduit:
+      process.env.OPENSEA_CONDUIT ||
+      '0x1E0049783F008A0085193E00003D00cd54003c71',
+    blurPool:
+      process.env.BLUR_POOL_ADDRESS ||
+      '0x0000000000A39bb272e79075ade125fd351887Ac',
+    blurDelegate:
+      process.env.BLUR_DELEGATE_ADDRESS ||
+      '0x2f18F339620a63e43f0839Eeb18D7de1e1Be4DfB', // Blur execution delegate
+  },
+
+  // Marketplace API endpoints
+  apiUrls: {
+    opensea: process.env.OPENSEA_API_URL || 'https://api.opensea.io/api/v2',
+    blur: process.env.BLUR_API_URL || 'https://nfttools.pro/blur/v1',
+    alchemyNft:
+      process.env.ALCHEMY_NFT_API_URL ||
+      'https://eth-mainnet.g.alchemy.com/nft/v3',
+  },
+
   // Bid configuration
   bid: {
     blur: {
@@ -39,26 +73,164 @@ const config = {
       bidDeduction: process.env.BLUR_BID_DEDUCTION || '0.005',
       roundingPrecision: process.env.BLUR_ROUNDING || '0.01',
       gasCost: process.env.BLUR_GAS_COST || '0.001',
+      enabled: process.env.BLUR_ENABLED !== 'false',
+      quantity: parseInt(process.env.BLUR_QUANTITY || '1'),
     },
     opensea: {
       minBidAmount: process.env.OPENSEA_MIN_BID || '0.01',
       maxBidAmount: process.env.OPENSEA_MAX_BID || '100',
       bidDeduction: process.env.OPENSEA_BID_DEDUCTION || '0.005',
       outbidAmount: process.env.OPENSEA_OUTBID || '0.00001',
+      offerProtection: process.env.OPENSEA_OFFER_PROTECTION !== 'false',
+      expirationSeconds: parseInt(
+        process.env.OPENSEA_OFFER_EXPIRATION || '660', // 11 minutes
+      ),
+      renewalLeadSeconds: parseInt(process.env.OPENSEA_RENEWAL_LEAD || '90'),
       gasCost: process.env.OPENSEA_GAS_COST || '0.001',
+      enabled: process.env.OPENSEA_ENABLED !== 'false',
+      quantity: parseInt(process.env.OPENSEA_QUANTITY || '1'),
     },
   },
 
+  // Bid cancellation
+  cancellation: {
+    // Cancel Opensea orders without offer protection on-chain (costs gas)
+    openseaOnchainFallback: process.env.OPENSEA_ONCHAIN_CANCEL === 'true',
+  },
+
+  // Startup reconciliation of stored bids against the marketplaces
+  reconciliation: {
+    // What to do with live bids we have no record of: 'cancel' or 'adopt'
+    orphanPolicy: process.env.RECONCILE_ORPHANS || 'cancel',
+  },
+
+  // Marketplace fee configuration, in basis points
+  fees: {
+    opensea: {
+      marketplaceBps: parseInt(process.env.OPENSEA_FEE_BPS || '250'),
+      feeRecipient:
+        process.env.OPENSEA_FEE_RECIPIENT ||
+        '0x0000a26b00c1F0DF003000390027140000fAa719',
+      creatorBps: parseInt(process.env.OPENSEA_CREATOR_FEE_BPS || '0'),
+      lookup: process.env.OPENSEA_FEE_LOOKUP !== 'false',
+      cacheTtl: parseInt(process.env.OPENSEA_FEE_CACHE_TTL || '3600000'), // 1 hour
+    },
+    blur: {
+      royaltyBps: parseInt(process.env.BLUR_ROYALTY_BPS || '50'),
+    },
+  },
+
+  // Selling received NFTs into bids
+  acceptance: {
+    // Lowest per-token price we sell at, unless a collection sets
+    // Min_Accept_Amount
+    minAcceptAmount: process.env.MIN_ACCEPT_AMOUNT || '0',
+    maxAttempts: parseInt(process.env.ACCEPT_MAX_ATTEMPTS || '5'),
+    retryDelay: parseInt(process.env.ACCEPT_RETRY_DELAY || '1000'), // doubled per attempt
+    maxRetryDelay: parseInt(process.env.ACCEPT_MAX_RETRY_DELAY || '30000'),
+    // 'public' mempool, or 'private' through the relay with a public fallback
+    submission: process.env.ACCEPT_SUBMISSION || 'public',
+    // How far simulated proceeds may fall short of the expected ones
+    proceedsToleranceBps: parseInt(
+      process.env.ACCEPT_PROCEEDS_TOLERANCE_BPS || '50',
+    ),
+    // How long to wait for an acceptance before logging it as unconfirmed
+    confirmationTimeout: parseInt(
+      process.env.ACCEPT_CONFIRMATION_TIMEOUT || '600000',
+    ), // 10 minutes
+  },
+
+  // Sweeps for NFTs already in the wallet that were never sold
+  inventory: {
+    // 'alchemy' (getNFTsForOwner) or 'logs' (Transfer log scan over RPC)
+    source: process.env.INVENTORY_SOURCE || 'alchemy',
+    sweepInterval: parseInt(process.env.INVENTORY_SWEEP_INTERVAL || '600000'), // 10 minutes
+    // First block of the log scan; defaults to lookbackBlocks before the head
+    fromBlock: process.env.INVENTORY_FROM_BLOCK
+      ? parseInt(process.env.INVENTORY_FROM_BLOCK)
+      : null,
+    lookbackBlocks: parseInt(process.env.INVENTORY_LOOKBACK_BLOCKS || '216000'), // ~30 days
+    logChunkSize: parseInt(process.env.INVENTORY_LOG_CHUNK || '5000'),
+  },
+
+  // Listings for NFTs no bid would buy at our minimum
+  listing: {
+    enabled: process.env.LISTING_ENABLED !== 'false',
+    platforms: (process.env.LISTING_PLATFORMS || 'opensea,blur').split(','),
+    // Asked over the best bid for the token
+    premiumBps: parseInt(process.env.LISTING_PREMIUM_BPS || '1000'), // 10%
+    // Listings are repriced when they are renewed, so this is the schedule
+    durationSeconds: parseInt(process.env.LISTING_DURATION || '3600'), // 1 hour
+    renewalLeadSeconds: parseInt(process.env.LISTING_RENEWAL_LEAD || '300'),
+    // How often listed tokens are checked for sales and acceptable bids
+    checkInterval: parseInt(process.env.LISTING_CHECK_INTERVAL || '120000'),
+  },
+
+  // Private relay for acceptance transactions (Flashbots-style bundles)
+  relay: {
+    url: process.env.RELAY_URL || 'https://relay.flashbots.net',
+    // Signs bundle requests; a throwaway key is used when unset
+    authKey: process.env.RELAY_AUTH_KEY,
+    // Blocks to retarget the bundle before falling back to the mempool
+    deadlineBlocks: parseInt(process.env.RELAY_DEADLINE_BLOCKS || '5'),
+    pollInterval: parseInt(process.env.RELAY_POLL_INTERVAL || '1000'),
+  },
+
+  // Operator approvals our NFTs need before they can be sold into a bid
+  approvals: {
+    // Approve every venue's operator as soon as a collection is added
+    approveOnAdd: process.env.APPROVE_ON_ADD === 'true',
+    // Revoke approvals left on collections we no longer trade
+    revokeStale: process.env.REVOKE_STALE_APPROVALS === 'true',
+    stateFile:
+      process.env.APPROVALS_FILE ||
+      path.join(__dirname, '../../data/approvals.json'),
+  },
+
   // Transaction configuration
   transaction: {
     maxRetries: parseInt(process.env.MAX_RETRIES || '3'),
     retryDelay: parseInt(process.env.RETRY_DELAY || '5000'),
+    // Blocks a transaction may stay pending before it is replaced
+    speedUpBlocks: parseInt(process.env.TX_SPEED_UP_BLOCKS || '3'),
+    // Fee increase per replacement; nodes want at least 10%
+    feeBumpBps: parseInt(process.env.TX_FEE_BUMP_BPS || '1250'),
+    // Speed-ups before a stuck transaction is cancelled instead
+    maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || '5'),
+    // Blocks after the first send before a transaction is cancelled
+    maxPendingBlocks: parseInt(process.env.TX_MAX_PENDING_BLOCKS || '25'),
+    stateFile:
+      process.env.TRANSACTIONS_FILE ||
+      path.join(__dirname, '../../data/transactions.json'),
     gasLimit: {
       blur: parseInt(process.env.BLUR_GAS_LIMIT || '300000'),
       opensea: parseInt(process.env.OPENSEA_GAS_LIMIT || '300000'),
     },
   },
 
+  // Paper trading: live market data, simulated bids, fills and acceptances
+  paperTrading: {
+    enabled: process.env.PAPER_TRADING === 'true',
+    startingBalance: process.env.PAPER_BALANCE || '10',
+    stateFile:
+      process.env.PAPER_STATE_FILE ||
+      path.join(__dirname, '../../data/paper-state.json'),
+    actionsFile:
+      process.env.PAPER_ACTIONS_FILE ||
+      path.join(__dirname, '../../data/paper-actions.jsonl'),
+  },
+
+  // Gas oracle configuration
+  gas: {
+    historyBlocks: parseInt(process.env.GAS_HISTORY_BLOCKS || '20'),
+    rewardPercentiles: [10, 50, 90],
+    baseFeePercentile: parseInt(process.env.GAS_BASE_FEE_PERCENTILE || '90'),
+    priorityPercentile: parseInt(process.env.GAS_PRIORITY_PERCENTILE || '50'),
+    usageSamples: parseInt(process.env.GAS_USAGE_SAMPLES || '20'),
+    usagePercentile: parseInt(process.env.GAS_USAGE_PERCENTILE || '90'),
+    limitBufferBps: parseInt(process.env.GAS_LIMIT_BUFFER_BPS || '2000'), // 20%
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -73,11 +245,41 @@ const config = {
     orderInvalidationCheck: parseInt(
       process.env.ORDER_INVALIDATION_CHECK || '300000',
     ),
+    // Blocks an incoming NFT transfer needs before it is acted on
+    confirmations: parseInt(process.env.NFT_CONFIRMATIONS || '2'),
     collections: process.env.COLLECTIONS
       ? JSON.parse(process.env.COLLECTIONS)
       : [],
   },
 
+  // Collection registry configuration
+  collections: {
+    file:
+      process.env.COLLECTIONS_FILE ||
+      path.join(__dirname, '../../collections.json'),
+    watch: process.env.COLLECTIONS_WATCH !== 'false',
+    watchInterval: parseInt(process.env.COLLECTIONS_WATCH_INTERVAL || '2000'),
+  },
+
+  // Market data feed configuration
+  feeds: {
+    blur: {
+      url: process.env.BLUR_FEED_URL || 'ws://nfttools.pro?app=blur',
+      reconnectDelay: parseInt(process.env.BLUR_FEED_RECONNECT_DELAY || '5000'),
+    },
+    opensea: {
+      url:
+        process.env.OPENSEA_STREAM_URL ||
+        'wss://stream.openseabeta.com/socket/websocket',
+      heartbeatInterval: parseInt(
+        process.env.OPENSEA_STREAM_HEARTBEAT || '30000',
+      ),
+      reconnectDelay: parseInt(
+        process.env.OPENSEA_STREAM_RECONNECT_DELAY || '5000',
+      ),
+    },
+  },
+
   // Queue configuration
   queue: {
     maxConcurrent: parseInt(process.env.MAX_CONCURRENT || '5'),
@@ -2,6 +2,20 @@ import { config, validateConfig } from './config/config.js';
 import logger from './utils/logger.js';
 import BidManager from './services/BidManager.js';
 import NftAcceptor from './services/NftAcceptor.js';
+import AcceptanceStorage from './services/AcceptanceStorage.js';
+import InventoryService from './services/InventoryService.js';
+import ListingManager from './services/ListingManager.js';
+import CollectionRegistry from './services/CollectionRegistry.js';
+import ApprovalManager from './services/ApprovalManager.js';
+import RedisService from './services/RedisService.js';
+import BlurBidFeed from './services/BlurBidFeed.js';
+import OpenseaStreamFeed from './services/OpenseaStreamFeed.js';
+import ArbitrageEngine from './services/ArbitrageEngine.js';
+import GasOracle from './services/GasOracle.js';
+import TransactionManager from './services/TransactionManager.js';
+import PaperExecutor from './services/PaperExecutor.js';
+import OfferRenewalScheduler from './services/OfferRenewalScheduler.js';
+import { OPPOSITE_PLATFORM } from './config/bidSettings.js';
 
 // Initialize application
 const initialize = async () => {
@@ -29,16 +43,57 @@ const initialize = async () => {
 // Initialize all services
 const initializeServices = async () => {
   try {
+    await RedisService.initialize();
+
+    // Bid margins and acceptance fees are priced off live gas
+    await GasOracle.start();
+
+    // Acceptances and approvals are sent and watched through one nonce
+    if (!PaperExecutor.isEnabled()) {
+      await TransactionManager.start();
+    }
+
+    // Simulated fills need the paper state before any bid is placed
+    if (PaperExecutor.isEnabled()) {
+      await PaperExecutor.start();
+    }
+
+    // Reconciliation needs to know which collections we trade
+    const collections = await loadCollections();
+
+    // Load and reconcile bid state before anything can act on it
+    await BidManager.initialize();
+
+    // Acceptances are refused on venues we have not approved
+    await ApprovalManager.start();
+
     // Start NFT acceptor monitoring
+    await AcceptanceStorage.initialize();
     await NftAcceptor.monitorWallet();
     logger.info('NFT acceptor monitoring started');
 
+    // List what no bid will buy at our minimum
+    await ListingManager.start();
+
+    // Sell whatever arrived while we were down or failed to sell before
+    await InventoryService.start();
+
     // Start bid invalidation monitoring for each collection
-    const collections = await loadCollections();
     for (const collection of collections) {
-      await BidManager.monitorBidInvalidation(collection);
+      await BidManager.monitorBidInvalidation(collection.contract);
     }
+    BidManager.startInvalidationMonitor();
     logger.info('Bid invalidation monitoring started');
+
+    // Start market data feeds
+    BlurBidFeed.start();
+    OpenseaStreamFeed.start();
+
+    // Price bids off the opposite market as top bids change
+    ArbitrageEngine.start();
+
+    // Keep short-lived Opensea offers up without gaps
+    OfferRenewalScheduler.start();
   } catch (error) {
     logger.error('Error initializing services:', error);
     throw error;
@@ -48,33 +103,98 @@ const initializeServices = async () => {
 // Set up event listeners
 const setupEventListeners = () => {
   // Bid Manager events
-  BidManager.on('orderInvalidated', ({ collection, platform }) => {
-    logger.warn(`Order invalidated for ${collection} on ${platform}`);
-    // TODO: Implement order invalidation handling
+  BidManager.on('orderInvalidated', async (event) => {
+    const { collection, platform, reason } = event;
+    logger.warn(
+      `Order invalidated for ${collection} on ${platform}: ${reason}`,
+    );
+    // The bid on the other market is only safe while this one can fill
+    try {
+      await ArbitrageEngine.pull(collection, OPPOSITE_PLATFORM[platform]);
+    } catch (error) {
+      logger.error(`Error pulling paired bid for ${collection}:`, error);
+    }
+  });
+
+  // Collection registry events
+  CollectionRegistry.on('collectionAdded', async (collection) => {
+    logger.info(`Collection added: ${collection.slug}`);
+    await BidManager.monitorBidInvalidation(collection.contract);
+  });
+
+  CollectionRegistry.on('collectionRemoved', (collection) => {
+    logger.info(`Collection removed: ${collection.slug}`);
+  });
+
+  CollectionRegistry.on('collectionChanged', ({ collection }) => {
+    logger.info(`Collection changed: ${collection.slug}`);
+  });
+
+  // Market data feed events
+  BlurBidFeed.on('disconnected', ({ reason }) => {
+    logger.warn(`Blur bid feed lost (${reason}), top bids may be stale`);
+  });
+
+  OpenseaStreamFeed.on('disconnected', ({ code }) => {
+    logger.warn(`Opensea stream lost (code=${code}), top offers may be stale`);
+  });
+
+  // Paper trading events
+  PaperExecutor.on('fill', (trade) => {
+    const summary = PaperExecutor.getSummary();
+    logger.info(
+      `Paper P&L ${summary.realizedPnl} ETH over ${summary.trades} trades (last ${trade.profit} ETH)`,
+    );
   });
 
   // NFT Acceptor events
-  NftAcceptor.on('nftReceived', (nft) => {
+  NftAcceptor.on('nftReceived', async (nft) => {
     logger.info(`New NFT received: ${nft.tokenId} from ${nft.collection}`);
+    try {
+      await BidManager.recordFill(nft.collection, nft.platform, {
+        quantity: nft.quantity,
+        txHash: nft.txHash,
+      });
+    } catch (error) {
+      logger.error('Error recording bid fill:', error);
+    }
   });
 };
 
-// Load collections from configuration
+// Load collections from collections.json and configuration
 const loadCollections = async () => {
-  // TODO: Implement collection loading from configuration
-  return [];
+  await CollectionRegistry.initialize();
+  return CollectionRegistry.getAll();
+};
+
+// Release watchers and connections held by services
+const cleanup = async () => {
+  ArbitrageEngine.stop();
+  OfferRenewalScheduler.stop();
+  BidManager.stopInvalidationMonitor();
+  NftAcceptor.stopMonitoring();
+  InventoryService.stop();
+  ListingManager.stop();
+  ApprovalManager.stop();
+  CollectionRegistry.stopWatching();
+  BlurBidFeed.stop();
+  OpenseaStreamFeed.stop();
+  TransactionManager.stop();
+  GasOracle.stop();
+  PaperExecutor.stop();
+  await RedisService.cleanup();
 };
 
 // Handle process termination
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('Received SIGINT. Performing cleanup...');
-  // TODO: Implement cleanup logic
+  await cleanup();
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM. Performing cleanup...');
-  // TODO: Implement cleanup logic
+  await cleanup();
   process.exit(0);
 });
 
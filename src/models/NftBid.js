@@ -1,25 +1,110 @@
 import { ethers } from 'ethers';
-import { config } from '../config/config.js';
+import { formatEth, parseEth, toWei } from '../utils/price.js';
+
+// Bid lifecycle:
+//   pending -> submitted -> active -> filled | partially_filled | expired |
+//   cancelled | invalid
+// Filled, expired, cancelled and invalid are final.
+const TRANSITIONS = {
+  pending: ['submitted', 'cancelled', 'invalid'],
+  submitted: ['active', 'expired', 'cancelled', 'invalid'],
+  active: ['filled', 'partially_filled', 'expired', 'cancelled', 'invalid'],
+  partially_filled: [
+    'partially_filled',
+    'filled',
+    'expired',
+    'cancelled',
+    'invalid',
+  ],
+  filled: [],
+  expired: [],
+  cancelled: [],
+  invalid: [],
+};
+
+// Statuses of bids that may still be open on the marketplace
+export const LIVE_STATUSES = [
+  'pending',
+  'submitted',
+  'active',
+  'partially_filled',
+];
 
 class NftBid {
   constructor({
     collection,
     platform,
     amount,
+    quantity = 1,
     tokenId = null,
+    startTime = null,
     expirationTime = null,
     nonce = null,
     signature = null,
+    orderHash = null,
+    orderComponents = null,
+    filledQuantity = 0,
+    createdAt = Date.now(),
+    status = 'pending',
+    history = null,
   }) {
     this.collection = collection;
     this.platform = platform;
-    this.amount = amount;
+    this.amount = toWei(amount); // wei
+    this.quantity = quantity;
     this.tokenId = tokenId;
+    this.startTime = startTime; // unix seconds the order becomes valid
     this.expirationTime = expirationTime || this.calculateExpirationTime();
     this.nonce = nonce || this.generateNonce();
     this.signature = signature;
-    this.createdAt = Date.now();
-    this.status = 'pending'; // pending, active, cancelled, invalid
+    this.orderHash = orderHash; // Opensea order hash
+    this.orderComponents = orderComponents; // signed Seaport components
+    this.filledQuantity = filledQuantity;
+    this.createdAt = createdAt;
+    this.status = status;
+    this.history = history || [{ status, at: createdAt }];
+  }
+
+  // Move to `status`, recording when and why. Throws on transitions the
+  // lifecycle does not allow.
+  transition(status, details = {}) {
+    if (!TRANSITIONS[status]) {
+      throw new Error(`Unknown bid status: ${status}`);
+    }
+    if (!TRANSITIONS[this.status].includes(status)) {
+      throw new Error(
+        `Illegal bid transition ${this.status} -> ${status} for ${this.nonce}`,
+      );
+    }
+    this.status = status;
+    this.history.push({ status, at: Date.now(), ...details });
+    return this;
+  }
+
+  canTransition(status) {
+    return !!TRANSITIONS[this.status]?.includes(status);
+  }
+
+  // Count `quantity` more NFTs bought through this bid
+  recordFill(quantity = 1, details = {}) {
+    this.filledQuantity = Math.min(
+      this.filledQuantity + quantity,
+      this.quantity,
+    );
+    const status =
+      this.filledQuantity >= this.quantity ? 'filled' : 'partially_filled';
+    return this.transition(status, {
+      filledQuantity: this.filledQuantity,
+      ...details,
+    });
+  }
+
+  isLive(now = Math.floor(Date.now() / 1000)) {
+    return LIVE_STATUSES.includes(this.status) && this.expirationTime > now;
+  }
+
+  isFinal() {
+    return TRANSITIONS[this.status].length === 0;
   }
 
   calculateExpirationTime() {
@@ -31,7 +116,9 @@ class NftBid {
     return ethers.hexlify(ethers.randomBytes(32));
   }
 
-  validate() {
+  // `settings` are the collection's bid settings for this platform; without
+  // them only the bid itself is checked, not the min/max bid bounds
+  validate(settings = null) {
     if (!ethers.isAddress(this.collection)) {
       throw new Error('Invalid collection address');
     }
@@ -40,15 +127,23 @@ class NftBid {
       throw new Error('Invalid platform');
     }
 
-    if (typeof this.amount !== 'number' || this.amount <= 0) {
+    if (typeof this.amount !== 'bigint' || this.amount <= 0n) {
       throw new Error('Invalid bid amount');
     }
 
-    const minBid = parseFloat(config.bid[this.platform].minBidAmount);
-    const maxBid = parseFloat(config.bid[this.platform].maxBidAmount);
+    if (!Number.isInteger(this.quantity) || this.quantity <= 0) {
+      throw new Error('Invalid bid quantity');
+    }
+
+    if (settings) {
+      const minBid = parseEth(settings.minBidAmount);
+      const maxBid = parseEth(settings.maxBidAmount);
 
-    if (this.amount < minBid || this.amount > maxBid) {
-      throw new Error(`Bid amount must be between ${minBid} and ${maxBid}`);
+      if (this.amount < minBid || this.amount > maxBid) {
+        throw new Error(
+          `Bid amount must be between ${formatEth(minBid)} and ${formatEth(maxBid)}`,
+        );
+      }
     }
 
     if (this.expirationTime <= Math.floor(Date.now() / 1000)) {
@@ -62,13 +157,19 @@ class NftBid {
     return {
       collection: this.collection,
       platform: this.platform,
-      amount: this.amount,
+      amount: this.amount.toString(),
+      quantity: this.quantity,
       tokenId: this.tokenId,
+      startTime: this.startTime,
       expirationTime: this.expirationTime,
       nonce: this.nonce,
       signature: this.signature,
+      orderHash: this.orderHash,
+      orderComponents: this.orderComponents,
       createdAt: this.createdAt,
+      filledQuantity: this.filledQuantity,
       status: this.status,
+      history: this.history,
     };
   }
 
@@ -0,0 +1,111 @@
+import { ethers } from 'ethers';
+import { toWei } from '../utils/price.js';
+
+// Listing lifecycle:
+//   pending -> active -> sold | expired | cancelled | invalid
+// Sold, expired, cancelled and invalid are final.
+const TRANSITIONS = {
+  pending: ['active', 'cancelled', 'invalid'],
+  active: ['sold', 'expired', 'cancelled', 'invalid'],
+  sold: [],
+  expired: [],
+  cancelled: [],
+  invalid: [],
+};
+
+// Statuses of listings that may still be open on the marketplace
+export const LIVE_LISTING_STATUSES = ['pending', 'active'];
+
+// One NFT offered for sale on one marketplace. The price is what a buyer
+// pays; fees come out of it.
+class NftListing {
+  constructor({
+    collection,
+    tokenId,
+    platform,
+    amount,
+    standard = null,
+    startTime = null,
+    expirationTime,
+    id = null,
+    signature = null,
+    orderHash = null,
+    orderComponents = null,
+    pricing = null,
+    createdAt = Date.now(),
+    status = 'pending',
+    history = null,
+  }) {
+    this.collection = collection;
+    this.tokenId = tokenId;
+    this.platform = platform;
+    this.amount = toWei(amount); // wei
+    this.standard = standard; // erc721 or erc1155
+    this.startTime = startTime; // unix seconds the listing becomes valid
+    this.expirationTime = expirationTime;
+    this.id = id || ethers.hexlify(ethers.randomBytes(16));
+    this.signature = signature;
+    this.orderHash = orderHash; // Opensea order hash
+    this.orderComponents = orderComponents; // signed Seaport components
+    this.pricing = pricing; // inputs the price was derived from, wei strings
+    this.createdAt = createdAt;
+    this.status = status;
+    this.history = history || [{ status, at: createdAt }];
+  }
+
+  // Move to `status`, recording when and why. Throws on transitions the
+  // lifecycle does not allow.
+  transition(status, details = {}) {
+    if (!TRANSITIONS[status]) {
+      throw new Error(`Unknown listing status: ${status}`);
+    }
+    if (!TRANSITIONS[this.status].includes(status)) {
+      throw new Error(
+        `Illegal listing transition ${this.status} -> ${status} for ${this.id}`,
+      );
+    }
+    this.status = status;
+    this.history.push({ status, at: Date.now(), ...details });
+    return this;
+  }
+
+  canTransition(status) {
+    return !!TRANSITIONS[this.status]?.includes(status);
+  }
+
+  isLive(now = Math.floor(Date.now() / 1000)) {
+    return (
+      LIVE_LISTING_STATUSES.includes(this.status) && this.expirationTime > now
+    );
+  }
+
+  isFinal() {
+    return TRANSITIONS[this.status].length === 0;
+  }
+
+  toJSON() {
+    return {
+      collection: this.collection,
+      tokenId: this.tokenId,
+      platform: this.platform,
+      amount: this.amount.toString(),
+      standard: this.standard,
+      startTime: this.startTime,
+      expirationTime: this.expirationTime,
+      id: this.id,
+      signature: this.signature,
+      orderHash: this.orderHash,
+      orderComponents: this.orderComponents,
+      pricing: this.pricing,
+      createdAt: this.createdAt,
+      status: this.status,
+      history: this.history,
+    };
+  }
+
+  static fromJSON(data) {
+    return new NftListing(data);
+  }
+}
+
+export default NftListing;
@@ -0,0 +1,220 @@
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import { applyBps, formatEth } from '../utils/price.js';
+
+// Custom errors an acceptance can revert with, so a failed simulation says
+// why: Seaport (and its conduit) for Opensea, the Blur exchange for Blur
+const SEAPORT_ERRORS = [
+  'error OrderIsCancelled(bytes32 orderHash)',
+  'error OrderAlreadyFilled(bytes32 orderHash)',
+  'error OrderPartiallyFilled(bytes32 orderHash)',
+  'error InvalidTime(uint256 startTime, uint256 endTime)',
+  'error InvalidSignature()',
+  'error BadSignatureV(uint8 v)',
+  'error InvalidSigner()',
+  'error InvalidProof()',
+  'error InvalidRestrictedOrder(bytes32 orderHash)',
+  'error InvalidConduit(bytes32 conduitKey, address conduit)',
+  'error ConsiderationNotMet(uint256 orderIndex, uint256 considerationIndex, uint256 shortfallAmount)',
+  'error InsufficientNativeTokensSupplied()',
+  'error NoSpecifiedOrdersAvailable()',
+  'error MissingOriginalConsiderationItems()',
+  'error PartialFillsNotEnabledForOrder()',
+  'error BadFraction()',
+  'error InexactFraction()',
+  'error CriteriaNotEnabledForItem()',
+  'error InvalidERC721TransferAmount(uint256 amount)',
+  'error TokenTransferGenericFailure(address token, address from, address to, uint256 identifier, uint256 amount)',
+  'error BadReturnValueFromERC20OnTransfer(address token, address from, address to, uint256 amount)',
+  'error ChannelClosed(address channel)',
+];
+const BLUR_ERRORS = [
+  'error InsufficientFunds()',
+  'error TokenTransferFailed()',
+  'error ETHTransferFailed()',
+  'error OrderFulfilled()',
+  'error OrderInvalid()',
+  'error OrderExpired()',
+  'error InvalidOrder()',
+  'error ExpiredOracleSignature()',
+  'error UnauthorizedOracle()',
+  'error InvalidOracleSignature()',
+  'error InvalidAuthorization()',
+  'error UnsupportedTakeOrderType()',
+  'error ProtocolFeeTooHigh()',
+];
+const ERROR_INTERFACES = {
+  opensea: new ethers.Interface(SEAPORT_ERRORS),
+  blur: new ethers.Interface(BLUR_ERRORS),
+};
+
+const ERC20_INTERFACE = new ethers.Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+]);
+// Where each venue pays a sold bid: WETH on Opensea, the Blur Pool on Blur
+const PROCEEDS_TOKENS = {
+  opensea: () => config.contracts.weth,
+  blur: () => config.contracts.blurPool,
+};
+// eth_simulateV1 reports ETH moves as Transfer logs from this address
+const NATIVE_TRANSFER_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const TRANSFER_TOPIC = ERC20_INTERFACE.getEvent('Transfer').topicHash;
+
+// Runs an acceptance against the pending block before it is sent. With
+// eth_simulateV1 the sale is bracketed by balance reads of the venue's
+// proceeds token (WETH, or the Blur Pool for Blur) and ETH moves are
+// traced, so what we would receive is checked against the expected
+// proceeds; nodes without it fall back to a plain eth_call, which only
+// catches reverts. Reverts are decoded against the venue's errors.
+class AcceptanceSimulator {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
+    this.simulateSupported = true;
+  }
+
+  // Resolves to { ok, reason, received } where `received` is the proceeds
+  // token plus ETH the sale pays us, or null when it could not be measured
+  async simulate(platform, transaction, { from, expectedProceeds }) {
+    if (this.simulateSupported) {
+      try {
+        return await this.simulateBlock(platform, transaction, {
+          from,
+          expectedProceeds,
+        });
+      } catch (error) {
+        if (!isUnsupported(error)) {
+          throw error;
+        }
+        this.simulateSupported = false;
+        logger.warn(
+          'eth_simulateV1 is not available, acceptance proceeds will not be checked',
+        );
+      }
+    }
+    return this.callPending(platform, transaction, from);
+  }
+
+  async simulateBlock(platform, transaction, { from, expectedProceeds }) {
+    const balanceCall = {
+      from,
+      to: PROCEEDS_TOKENS[platform](),
+      data: ERC20_INTERFACE.encodeFunctionData('balanceOf', [from]),
+    };
+    const [block] = await this.provider.send('eth_simulateV1', [
+      {
+        blockStateCalls: [
+          {
+            calls: [
+              balanceCall,
+              {
+                from,
+                to: transaction.to,
+                data: transaction.data,
+                value: ethers.toQuantity(transaction.value ?? 0n),
+              },
+              balanceCall,
+            ],
+          },
+        ],
+        traceTransfers: true,
+      },
+      'pending',
+    ]);
+    const [before, sale, after] = block.calls;
+    if (sale.status !== '0x1') {
+      return {
+        ok: false,
+        reason: decodeRevert(platform, sale.returnData, sale.error?.message),
+        received: null,
+      };
+    }
+
+    const tokenReceived = BigInt(after.returnData) - BigInt(before.returnData);
+    const received = tokenReceived + getNativeReceived(sale.logs, from);
+    const minimum =
+      expectedProceeds -
+      applyBps(expectedProceeds, config.acceptance.proceedsToleranceBps);
+    if (received < minimum) {
+      return {
+        ok: false,
+        reason: `pays ${formatEth(received)} ETH, expected at least ${formatEth(minimum)}`,
+        received,
+      };
+    }
+    return { ok: true, reason: null, received };
+  }
+
+  async callPending(platform, transaction, from) {
+    try {
+      await this.provider.call({ ...transaction, from, blockTag: 'pending' });
+      return { ok: true, reason: null, received: null };
+    } catch (error) {
+      return {
+        ok: false,
+        reason: decodeRevert(
+          platform,
+          error.data,
+          error.shortMessage || error.message,
+        ),
+        received: null,
+      };
+    }
+  }
+}
+
+// Named custom error, Error(string) or Panic, or the raw selector
+const decodeRevert = (platform, data, fallback) => {
+  if (!data || data === '0x') {
+    return fallback || 'reverted without a reason';
+  }
+  try {
+    const parsed = ERROR_INTERFACES[platform]?.parseError(data);
+    if (parsed) {
+      return `${parsed.name}(${parsed.args.join(', ')})`;
+    }
+    const { reason } = ethers.AbiCoder.getBuiltinCallException(
+      'call',
+      {},
+      data,
+    );
+    if (reason) {
+      return reason;
+    }
+  } catch (error) {
+    logger.debug(`Could not decode revert data ${data}: ${error.message}`);
+  }
+  return `reverted with ${data.slice(0, 10)}`;
+};
+
+// ETH into `account` less ETH out of it, from the traced transfers
+const getNativeReceived = (logs = [], account) => {
+  const padded = ethers.zeroPadValue(account, 32).toLowerCase();
+  return logs
+    .filter(
+      (log) =>
+        log.address.toLowerCase() === NATIVE_TRANSFER_ADDRESS &&
+        log.topics[0] === TRANSFER_TOPIC,
+    )
+    .reduce((total, log) => {
+      const value = BigInt(log.data);
+      if (log.topics[2].toLowerCase() === padded) {
+        return total + value;
+      }
+      if (log.topics[1].toLowerCase() === padded) {
+        return total - value;
+      }
+      return total;
+    }, 0n);
+};
+
+const isUnsupported = (error) => {
+  const code = error.error?.code ?? error.info?.error?.code;
+  return (
+    code === -32601 ||
+    /method.*(not found|not supported|does not exist)/i.test(error.message)
+  );
+};
+
+export default new AcceptanceSimulator();
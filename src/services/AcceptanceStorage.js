@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// One record per NFT we received and tried to sell: the venue it was routed
+// to, the quotes that were compared and how the sale went. Amounts are wei
+// decimal strings.
+//
+// Status: received -> routed -> accepted | failed, or received -> no_bid
+class AcceptanceStorage {
+  constructor() {
+    this.records = new Map(); // id -> record
+    // Units of one ERC-1155 transfer are created within the same millisecond
+    this.sequence = 0;
+    // Paper acceptances never mix with the real ones
+    this.storageFile = path.join(
+      __dirname,
+      config.paperTrading.enabled
+        ? '../../data/paper-acceptances.json'
+        : '../../data/acceptances.json',
+    );
+  }
+
+  async initialize() {
+    try {
+      await this.loadRecords();
+      logger.info('Acceptance storage initialized');
+    } catch (error) {
+      logger.error('Error initializing acceptance storage:', error);
+      throw error;
+    }
+  }
+
+  async loadRecords() {
+    try {
+      const data = await fs.readFile(this.storageFile, 'utf-8');
+      for (const record of JSON.parse(data)) {
+        this.records.set(record.id, record);
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await this.saveRecords();
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  async saveRecords() {
+    try {
+      await fs.mkdir(path.dirname(this.storageFile), { recursive: true });
+      await fs.writeFile(
+        this.storageFile,
+        JSON.stringify([...this.records.values()], null, 2),
+      );
+    } catch (error) {
+      logger.error('Error saving acceptances:', error);
+      throw error;
+    }
+  }
+
+  async create(nft) {
+    const now = Date.now();
+    const record = {
+      id: `${nft.collection}:${nft.tokenId}:${now}:${this.sequence++}`,
+      collection: nft.collection,
+      tokenId: nft.tokenId,
+      receivedVia: nft.platform,
+      receivedTxHash: nft.txHash ?? null,
+      status: 'received',
+      venue: null,
+      quote: null,
+      comparison: [],
+      attempts: [],
+      txHash: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.records.set(record.id, record);
+    await this.saveRecords();
+    return record;
+  }
+
+  async update(record, changes) {
+    Object.assign(record, changes, { updatedAt: Date.now() });
+    await this.saveRecords();
+    return record;
+  }
+
+  async recordAttempt(record, attempt) {
+    return this.update(record, {
+      attempts: [...(record.attempts || []), attempt],
+    });
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  getByToken(collection, tokenId) {
+    return [...this.records.values()].filter(
+      (record) =>
+        record.collection === collection && record.tokenId === tokenId,
+    );
+  }
+}
+
+export default new AcceptanceStorage();
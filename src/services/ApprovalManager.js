@@ -0,0 +1,263 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import TransactionManager from './TransactionManager.js';
+import PaperExecutor from './PaperExecutor.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import { PLATFORMS } from '../config/bidSettings.js';
+import { getNftCollection } from '../utils/tokens.js';
+
+// The contract each venue moves our NFTs through when we sell into a bid
+const OPERATORS = {
+  opensea: () => config.contracts.openseaConduit,
+  blur: () => config.contracts.blurDelegate,
+};
+
+// Selling into a bid needs the venue's operator approved for the collection:
+// the Opensea conduit for Seaport, the execution delegate for Blur. Every
+// registered collection is checked on start and when it is added (and
+// approved then with `approvals.approveOnAdd`). Collections we have held
+// approvals on are kept in the state file, so approvals left behind on
+// collections we stopped trading are reported, and revoked with
+// `approvals.revokeStale`.
+//
+// Events:
+//   approvalMissing -> { collection, platforms }
+//   approved        -> { collection, platform, operator, hash }
+//   revoked         -> { collection, platform, operator, hash }
+class ApprovalManager extends EventEmitter {
+  constructor() {
+    super();
+    this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
+    this.running = false;
+    this.approvals = new Map(); // contract -> { opensea, blur, checkedAt }
+    this.onCollectionAdded = (collection) =>
+      this.checkCollection(collection.contract, {
+        approve: config.approvals.approveOnAdd,
+      }).catch((error) =>
+        logger.error(`Error checking approvals for ${collection.slug}:`, error),
+      );
+    this.onCollectionRemoved = () =>
+      this.handleStaleApprovals().catch((error) =>
+        logger.error('Error checking stale approvals:', error),
+      );
+  }
+
+  async start() {
+    if (this.running) {
+      return;
+    }
+    try {
+      await this.loadState();
+      for (const contract of CollectionRegistry.getContracts()) {
+        await this.checkCollection(contract, {
+          approve: config.approvals.approveOnAdd,
+        });
+      }
+      await this.handleStaleApprovals();
+
+      CollectionRegistry.on('collectionAdded', this.onCollectionAdded);
+      CollectionRegistry.on('collectionRemoved', this.onCollectionRemoved);
+      this.running = true;
+      logger.info('Approval manager started');
+    } catch (error) {
+      logger.error('Error starting approval manager:', error);
+      throw error;
+    }
+  }
+
+  stop() {
+    this.running = false;
+    CollectionRegistry.off('collectionAdded', this.onCollectionAdded);
+    CollectionRegistry.off('collectionRemoved', this.onCollectionRemoved);
+  }
+
+  async loadState() {
+    try {
+      const data = await fs.readFile(config.approvals.stateFile, 'utf-8');
+      for (const [contract, status] of Object.entries(JSON.parse(data))) {
+        this.approvals.set(contract, status);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async saveState() {
+    try {
+      await fs.mkdir(path.dirname(config.approvals.stateFile), {
+        recursive: true,
+      });
+      await fs.writeFile(
+        config.approvals.stateFile,
+        JSON.stringify(Object.fromEntries(this.approvals), null, 2),
+      );
+    } catch (error) {
+      logger.error('Error saving approvals:', error);
+      throw error;
+    }
+  }
+
+  getOperator(platform) {
+    return OPERATORS[platform]();
+  }
+
+  async isApproved(collection, platform) {
+    return getNftCollection(collection, this.provider).isApprovedForAll(
+      config.wallet.address,
+      this.getOperator(platform),
+    );
+  }
+
+  // Approval state of every venue for a collection, optionally approving the
+  // ones that are missing
+  async checkCollection(collection, { approve = false } = {}) {
+    const status = {};
+    for (const platform of PLATFORMS) {
+      status[platform] = await this.isApproved(collection, platform);
+    }
+    await this.setStatus(collection, status);
+
+    let missing = PLATFORMS.filter((platform) => !status[platform]);
+    if (approve && missing.length > 0 && !PaperExecutor.isEnabled()) {
+      for (const platform of missing) {
+        try {
+          await this.setApproval(collection, platform, true);
+          status[platform] = true;
+        } catch (error) {
+          logger.warn(
+            `Could not approve ${platform} on ${collection}: ${error.message}`,
+          );
+        }
+      }
+      missing = missing.filter((platform) => !status[platform]);
+    }
+    if (missing.length > 0) {
+      logger.warn(
+        `${collection} is not approved for ${missing.join(', ')}; acceptances there will be refused`,
+      );
+      this.emit('approvalMissing', { collection, platforms: missing });
+    }
+    return status;
+  }
+
+  async checkAll() {
+    const report = {};
+    for (const contract of CollectionRegistry.getContracts()) {
+      report[contract] = await this.checkCollection(contract);
+    }
+    return report;
+  }
+
+  // Checked on-chain right before an acceptance, so an approval granted or
+  // revoked by hand is picked up
+  async requireApproval(collection, platform) {
+    if (PaperExecutor.isEnabled()) {
+      return;
+    }
+    if (await this.isApproved(collection, platform)) {
+      return;
+    }
+    throw new Error(
+      `${collection} is not approved for the ${platform} operator ${this.getOperator(platform)}; approve it (APPROVE_ON_ADD=true) before accepting ${platform} bids`,
+    );
+  }
+
+  async setApproval(collection, platform, approved) {
+    const operator = this.getOperator(platform);
+    try {
+      const request = await getNftCollection(
+        collection,
+      ).setApprovalForAll.populateTransaction(operator, approved);
+      const tx = await TransactionManager.send(request, {
+        label: `${approved ? 'approval' : 'revocation'} of ${platform} on ${collection}`,
+      });
+      const receipt = await tx.wait();
+      if (receipt?.status !== 1) {
+        throw new Error(`setApprovalForAll reverted: ${tx.hash}`);
+      }
+
+      await this.setStatus(collection, { [platform]: approved });
+      this.emit(approved ? 'approved' : 'revoked', {
+        collection,
+        platform,
+        operator,
+        hash: tx.hash,
+      });
+      return receipt;
+    } catch (error) {
+      logger.error(
+        `Error setting ${platform} approval on ${collection}:`,
+        error,
+      );
+      throw error;
+    }
+  }
+
+  // Approvals still standing on collections that left the registry
+  async findStaleApprovals() {
+    const stale = [];
+    for (const contract of [...this.approvals.keys()]) {
+      if (CollectionRegistry.has(contract)) {
+        continue;
+      }
+      const status = {};
+      for (const platform of PLATFORMS) {
+        status[platform] = await this.isApproved(contract, platform);
+        if (status[platform]) {
+          stale.push({ collection: contract, platform });
+        }
+      }
+      await this.setStatus(contract, status);
+    }
+    return stale;
+  }
+
+  async handleStaleApprovals() {
+    const stale = await this.findStaleApprovals();
+    for (const { collection, platform } of stale) {
+      logger.warn(
+        `${collection} is no longer traded but still approves the ${platform} operator`,
+      );
+    }
+    if (config.approvals.revokeStale && !PaperExecutor.isEnabled()) {
+      await this.revokeApprovals(stale);
+    }
+    return stale;
+  }
+
+  async revokeApprovals(approvals) {
+    for (const { collection, platform } of approvals) {
+      await this.setApproval(collection, platform, false);
+    }
+  }
+
+  // Collections we neither trade nor approve anything on are forgotten
+  async setStatus(collection, changes) {
+    const status = {
+      ...this.approvals.get(collection),
+      ...changes,
+      checkedAt: Date.now(),
+    };
+    if (
+      CollectionRegistry.has(collection) ||
+      PLATFORMS.some((platform) => status[platform])
+    ) {
+      this.approvals.set(collection, status);
+    } else {
+      this.approvals.delete(collection);
+    }
+    await this.saveState();
+  }
+
+  getStatus(collection) {
+    return this.approvals.get(collection) || null;
+  }
+}
+
+export default new ApprovalManager();
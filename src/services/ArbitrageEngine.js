@@ -0,0 +1,242 @@
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import BidManager from './BidManager.js';
+import BidStorage from './BidStorage.js';
+import RedisService from './RedisService.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import { OPPOSITE_PLATFORM, PLATFORMS } from '../config/bidSettings.js';
+import { formatEth, minWei, parseEth } from '../utils/price.js';
+
+// Keeps one bid per collection and platform priced off the opposite market:
+// a Blur bid we can flip into the best Opensea offer and vice versa.
+//
+// Every evaluation produces a decision
+//   { collection, platform, action, amount, currentAmount, reason }
+// where action is one of hold, raise, lower or pull, amounts are wei and
+// reason is { code, message, inputs } with inputs formatted as ETH strings.
+class ArbitrageEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.running = false;
+    this.evaluations = new Map(); // collection -> pending evaluation chain
+
+    this.onTopBidChanged = ({ collection }) => this.schedule(collection);
+    this.onCollectionAdded = (collection) => this.schedule(collection.contract);
+    this.onCollectionRemoved = (collection) =>
+      this.pullAll(collection.contract, 'COLLECTION_REMOVED');
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    BidManager.on('topBidChanged', this.onTopBidChanged);
+    CollectionRegistry.on('collectionAdded', this.onCollectionAdded);
+    CollectionRegistry.on('collectionRemoved', this.onCollectionRemoved);
+
+    // Top bids may already be in Redis from before startup
+    for (const collection of CollectionRegistry.getContracts()) {
+      this.schedule(collection);
+    }
+    logger.info('Arbitrage engine started');
+  }
+
+  stop() {
+    this.running = false;
+    BidManager.off('topBidChanged', this.onTopBidChanged);
+    CollectionRegistry.off('collectionAdded', this.onCollectionAdded);
+    CollectionRegistry.off('collectionRemoved', this.onCollectionRemoved);
+  }
+
+  // Evaluations for a collection run one at a time, in arrival order
+  schedule(collection) {
+    if (!this.running || !CollectionRegistry.has(collection)) {
+      return Promise.resolve();
+    }
+
+    const previous = this.evaluations.get(collection) || Promise.resolve();
+    const next = previous
+      .then(() => this.evaluateCollection(collection))
+      .catch((error) =>
+        logger.error(`Error evaluating arbitrage for ${collection}:`, error),
+      );
+    this.evaluations.set(collection, next);
+    next.then(() => {
+      if (this.evaluations.get(collection) === next) {
+        this.evaluations.delete(collection);
+      }
+    });
+    return next;
+  }
+
+  async evaluateCollection(collection) {
+    const topBids = await RedisService.getAllTopBids(collection);
+    for (const platform of PLATFORMS) {
+      const decision = await this.decide(collection, platform, topBids);
+      await this.execute(decision);
+    }
+  }
+
+  async decide(collection, platform, topBids) {
+    const settings = CollectionRegistry.getBidSettings(collection, platform);
+    const ourAddress = config.wallet.address?.toLowerCase();
+    const liveBids = BidStorage.getLiveBids(collection, platform);
+    const current = liveBids[liveBids.length - 1] || null;
+    const currentAmount = current ? current.amount : null;
+
+    const reference = topBids[OPPOSITE_PLATFORM[platform]];
+    const competing = topBids[platform];
+    const competingIsOurs =
+      !!competing?.maker && competing.maker === ourAddress;
+    const referenceAmount = reference?.amount ? BigInt(reference.amount) : null;
+    const inputs = {
+      referenceBid: toEth(referenceAmount),
+      competingBid: toEth(competing?.amount ? BigInt(competing.amount) : null),
+      competingIsOurs,
+      currentAmount: toEth(currentAmount),
+    };
+
+    const decision = (action, amount, code, message) => ({
+      collection,
+      platform,
+      action,
+      amount,
+      currentAmount,
+      reason: { code, message, inputs },
+    });
+
+    // Without a profitable price any live bid is pulled, otherwise nothing to do
+    const stand = (code, message) =>
+      decision(current ? 'pull' : 'hold', null, code, message);
+
+    if (!settings.enabled) {
+      return stand('PLATFORM_DISABLED', 'Platform disabled');
+    }
+
+    if (BidManager.invalidOrders.has(collection)) {
+      return stand(
+        'ORDER_INVALIDATED',
+        'Orders failed the last invalidation check',
+      );
+    }
+
+    if (!referenceAmount) {
+      return stand(
+        'NO_REFERENCE_BID',
+        `No ${OPPOSITE_PLATFORM[platform]} bid to sell into`,
+      );
+    }
+
+    // With our own offer on top there is nobody to outbid, so price against it
+    const competingAmount = competingIsOurs
+      ? currentAmount
+      : (competing?.amount ?? null);
+    const { amount: computed } = await BidManager.calculateBidAmount(
+      platform,
+      referenceAmount,
+      collection,
+      competingAmount,
+    );
+    const maxBid = parseEth(settings.maxBidAmount);
+    const minBid = parseEth(settings.minBidAmount);
+    const target = minWei(computed, maxBid);
+    inputs.computedAmount = formatEth(computed);
+    inputs.targetAmount = formatEth(target);
+
+    if (target < minBid) {
+      return stand(
+        'BELOW_MIN_BID',
+        `Profitable bid ${formatEth(target)} is below the ${formatEth(minBid)} minimum`,
+      );
+    }
+
+    if (!current) {
+      return decision(
+        'raise',
+        target,
+        'NO_EXISTING_BID',
+        `Placing ${platform} bid at ${formatEth(target)}`,
+      );
+    }
+
+    if (competingIsOurs && target >= currentAmount) {
+      return decision(
+        'hold',
+        currentAmount,
+        'ALREADY_TOP',
+        'Our bid is already the top bid and still profitable',
+      );
+    }
+
+    if (target > currentAmount) {
+      return decision(
+        'raise',
+        target,
+        computed > maxBid ? 'CAPPED_AT_MAX_BID' : 'REFERENCE_ALLOWS_HIGHER',
+        `Raising ${platform} bid from ${formatEth(currentAmount)} to ${formatEth(target)}`,
+      );
+    }
+
+    if (target < currentAmount) {
+      return decision(
+        'lower',
+        target,
+        'MARGIN_EXCEEDED',
+        `Current ${platform} bid ${formatEth(currentAmount)} exceeds the profitable ${formatEth(target)}`,
+      );
+    }
+
+    return decision(
+      'hold',
+      currentAmount,
+      'UNCHANGED',
+      `${platform} bid already at ${formatEth(target)}`,
+    );
+  }
+
+  async execute(decision) {
+    const { collection, platform, action, amount, reason } = decision;
+    this.emit('decision', decision);
+    if (action === 'hold') {
+      logger.debug(`Hold ${platform} bid for ${collection}: ${reason.code}`);
+      return;
+    }
+
+    logger.info(
+      `Arbitrage ${action} ${platform} bid for ${collection}: ${reason.message}`,
+    );
+    if (action === 'pull') {
+      await this.pull(collection, platform);
+    } else {
+      await BidManager.submitBid(platform, collection, amount);
+    }
+  }
+
+  async pull(collection, platform) {
+    for (const bid of BidStorage.getLiveBids(collection, platform)) {
+      await BidManager.cancelBid(platform, collection, bid.nonce);
+    }
+  }
+
+  async pullAll(collection, code) {
+    for (const platform of PLATFORMS) {
+      if (BidStorage.getLiveBids(collection, platform).length === 0) {
+        continue;
+      }
+      await this.execute({
+        collection,
+        platform,
+        action: 'pull',
+        amount: null,
+        currentAmount: null,
+        reason: { code, message: 'Collection no longer traded', inputs: {} },
+      });
+    }
+  }
+}
+
+const toEth = (wei) => (wei === null ? null : formatEth(wei));
+
+export default new ArbitrageEngine();
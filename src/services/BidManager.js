@@ -1,14 +1,41 @@
 import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
 import logger from '../utils/logger.js';
 import { config } from '../config/config.js';
 import BidStorage from './BidStorage.js';
 import NftBid from '../models/NftBid.js';
-import axios from 'axios';
 import RedisService from './RedisService.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import FeeModel from './FeeModel.js';
+import GasOracle from './GasOracle.js';
+import PaperExecutor from './PaperExecutor.js';
+import OpenseaClient from './OpenseaClient.js';
+import BlurClient from './BlurClient.js';
+import TransactionManager from './TransactionManager.js';
+import { OPPOSITE_PLATFORM, PLATFORMS } from '../config/bidSettings.js';
+import {
+  ceilToTick,
+  floorToTick,
+  formatEth,
+  formatPrice,
+  minWei,
+  parseBidSettings,
+  parseEth,
+} from '../utils/price.js';
+import {
+  buildOfferComponents,
+  getOrderHash,
+  getSeaport,
+  signCancellation,
+  signOrderComponents,
+} from '../utils/seaport.js';
+import { getBlurPool, getWeth } from '../utils/tokens.js';
+import { signBlurData } from '../utils/blur.js';
 
 class BidManager extends EventEmitter {
   constructor() {
     super();
+    this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
     this.invalidOrders = new Set();
     this.isProcessing = false;
   }
@@ -20,6 +47,9 @@ class BidManager extends EventEmitter {
   async initialize() {
     try {
       await BidStorage.initialize();
+      await BidStorage.refreshStatuses();
+      await this.reconcileBids();
+      await this.watchTopBids();
       this.startCleanupInterval();
       logger.info('Bid manager initialized');
     } catch (error) {
@@ -28,7 +58,237 @@ class BidManager extends EventEmitter {
     }
   }
 
+  // After a crash data/bids.json can disagree with the marketplaces, so our
+  // open bids on both are diffed against storage before any bidding starts.
+  // Live bids we have no record of are adopted or cancelled per
+  // reconciliation.orphanPolicy; stored bids a marketplace no longer has are
+  // closed out as filled, cancelled or invalid.
+  async reconcileBids() {
+    if (PaperExecutor.isEnabled()) {
+      return null;
+    }
+
+    const report = {};
+    for (const platform of PLATFORMS) {
+      try {
+        report[platform] =
+          platform === 'blur'
+            ? await this.reconcileBlurBids()
+            : await this.reconcileOpenseaBids();
+      } catch (error) {
+        logger.error(`Error reconciling ${platform} bids:`, error);
+        report[platform] = { error: error.message };
+      }
+    }
+
+    for (const [platform, result] of Object.entries(report)) {
+      logger.info(
+        result.error
+          ? `Reconciliation ${platform}: failed (${result.error})`
+          : `Reconciliation ${platform}: ${result.matched} matched, ${result.adopted.length} adopted, ${result.cancelled.length} cancelled, ${result.leftLive.length} left live, ${result.closed.length} closed`,
+      );
+    }
+    this.emit('bidsReconciled', report);
+    return report;
+  }
+
+  async reconcileBlurBids() {
+    const report = newReconciliationReport();
+    const remote = (await BlurClient.getUserCollectionBids())
+      .filter((level) => Number(level.numberBids ?? level.executableSize) > 0)
+      .map((level) => ({
+        collection: level.contractAddress.toLowerCase(),
+        amount: parseEth(level.price),
+        quantity: Number(level.numberBids ?? level.executableSize),
+      }));
+    const local = this.getAllLiveBids('blur');
+    const matches = (bid, level) =>
+      bid.collection === level.collection && bid.amount === level.amount;
+
+    for (const bid of local) {
+      if (remote.some((level) => matches(bid, level))) {
+        report.matched += 1;
+      } else {
+        await this.closeMissingBid(
+          bid,
+          'invalid',
+          'Not among our open Blur bids',
+        );
+        report.closed.push({ nonce: bid.nonce, status: bid.status });
+      }
+    }
+    for (const level of remote) {
+      if (!local.some((bid) => matches(bid, level))) {
+        await this.handleOrphanBid('blur', level, report);
+      }
+    }
+    return report;
+  }
+
+  // Opensea cannot list a maker's collection offers, so stored offers are
+  // reconciled one by one by order hash, and orphans are looked for among
+  // the collection offers of the collections we trade
+  async reconcileOpenseaBids() {
+    const report = newReconciliationReport();
+    const local = this.getAllLiveBids('opensea');
+    const known = new Set(local.map((bid) => bid.orderHash));
+    const seaport = getSeaport(this.provider);
+    const counter = await seaport.getCounter(config.wallet.address);
+
+    for (const bid of local) {
+      const outcome = await this.reconcileOpenseaBid(bid, { seaport, counter });
+      if (outcome === 'matched') {
+        report.matched += 1;
+      } else if (outcome === 'leftLive') {
+        report.leftLive.push({
+          collection: bid.collection,
+          amount: formatEth(bid.amount),
+        });
+      } else {
+        report.closed.push({ nonce: bid.nonce, status: bid.status });
+      }
+    }
+    for (const offer of await this.getOwnCollectionOffers()) {
+      if (!known.has(offer.orderHash)) {
+        await this.handleOrphanBid('opensea', offer, report);
+      }
+    }
+    return report;
+  }
+
+  // A stored offer is closed only once it is done: filled or cancelled on
+  // Seaport, or voided by a counter increment. One that could still be
+  // filled but Opensea does not list as active is cancelled, not dropped.
+  // Resolves 'matched', 'closed' or 'leftLive' (the cancel failed).
+  async reconcileOpenseaBid(bid, { seaport, counter }) {
+    if (!bid.orderHash) {
+      await this.closeMissingBid(bid, 'invalid', 'Never posted to Opensea');
+      return 'closed';
+    }
+    if (
+      bid.orderComponents &&
+      BigInt(bid.orderComponents.counter) !== counter
+    ) {
+      await this.closeMissingBid(
+        bid,
+        'cancelled',
+        'Seaport counter incremented',
+      );
+      return 'closed';
+    }
+
+    const status = await seaport.getOrderStatus(bid.orderHash);
+    const filled =
+      status.totalSize > 0n
+        ? Number((status.totalFilled * BigInt(bid.quantity)) / status.totalSize)
+        : 0;
+    if (filled > bid.filledQuantity && bid.canTransition('partially_filled')) {
+      await BidStorage.recordFill(bid, filled - bid.filledQuantity, {
+        reason: 'reconciled',
+      });
+    }
+    if (status.isCancelled) {
+      await this.closeMissingBid(bid, 'cancelled', 'Cancelled on Seaport');
+      return 'closed';
+    }
+    if (bid.isFinal()) {
+      return 'closed';
+    }
+
+    // Renewals are not listed until their start time
+    if (bid.status === 'submitted') {
+      return 'matched';
+    }
+    const order = await OpenseaClient.getOrder(bid.orderHash);
+    if (order?.status === 'ACTIVE') {
+      return 'matched';
+    }
+    if (!(await this.cancelOpenseaOrder(bid))) {
+      return 'leftLive';
+    }
+    await this.closeMissingBid(
+      bid,
+      'cancelled',
+      `Opensea lists the order as ${order?.status ?? 'unknown'}`,
+    );
+    return 'closed';
+  }
+
+  // Our open offers on the collections we trade
+  async getOwnCollectionOffers() {
+    const maker = config.wallet.address.toLowerCase();
+    const offers = [];
+    for (const { slug } of CollectionRegistry.getAll()) {
+      if (!slug) {
+        continue;
+      }
+      for (const order of await OpenseaClient.getAllCollectionOffers(slug)) {
+        const offer =
+          order.protocol_data?.parameters?.offerer?.toLowerCase() === maker
+            ? OpenseaClient.toOwnOffer(order)
+            : null;
+        if (offer) {
+          offers.push(offer);
+        }
+      }
+    }
+    return offers;
+  }
+
+  async closeMissingBid(bid, status, reason) {
+    if (bid.canTransition(status)) {
+      await BidStorage.transitionBid(bid, status, { reason });
+    }
+  }
+
+  // Orphans on collections we trade are adopted when the policy allows and
+  // they pass validation; everything else is cancelled
+  async handleOrphanBid(platform, remote, report) {
+    const { collection, amount } = remote;
+    if (
+      config.reconciliation.orphanPolicy === 'adopt' &&
+      CollectionRegistry.has(collection)
+    ) {
+      try {
+        const bid = new NftBid({ ...remote, platform });
+        this.markSubmitted(bid);
+        await BidStorage.addBid(bid);
+        report.adopted.push(bid.nonce);
+        return;
+      } catch (error) {
+        logger.warn(
+          `Not adopting ${platform} bid for ${collection} @ ${formatEth(amount)}: ${error.message}`,
+        );
+      }
+    }
+
+    const cancelled =
+      platform === 'blur'
+        ? await this.cancelBlurPriceLevel(collection, amount)
+        : await this.cancelOpenseaOrder(remote);
+    const entry = { collection, amount: formatEth(amount) };
+    (cancelled ? report.cancelled : report.leftLive).push(entry);
+  }
+
+  getAllLiveBids(platform) {
+    return BidStorage.getCollections().flatMap((collection) =>
+      BidStorage.getLiveBids(collection, platform),
+    );
+  }
+
   startCleanupInterval() {
+    // Expire lapsed bids and activate offers whose start time has come
+    setInterval(async () => {
+      try {
+        const changed = await BidStorage.refreshStatuses();
+        for (const bid of changed.filter((b) => b.status === 'expired')) {
+          this.emit('bidExpired', bid);
+        }
+      } catch (error) {
+        logger.error('Error refreshing bid statuses:', error);
+      }
+    }, config.monitoring.checkInterval);
+
     // Clean up expired bids every hour
     setInterval(async () => {
       try {
@@ -39,6 +299,29 @@ class BidManager extends EventEmitter {
     }, 3600000);
   }
 
+  // React to top bid changes pushed by the market data feeds
+  async watchTopBids() {
+    await RedisService.subscribeToBidUpdates((update) =>
+      this.handleTopBidUpdate(update),
+    );
+  }
+
+  handleTopBidUpdate({ collection, platform, bid }) {
+    this.emit('topBidChanged', { collection, platform, bid });
+
+    const ourAddress = config.wallet.address?.toLowerCase();
+    if (!bid || (bid.maker && bid.maker === ourAddress)) {
+      return;
+    }
+
+    const outbidBids = BidStorage.getLiveBids(collection, platform).filter(
+      (ourBid) => ourBid.amount < BigInt(bid.amount),
+    );
+    if (outbidBids.length > 0) {
+      this.emit('outbid', { collection, platform, bid, ourBids: outbidBids });
+    }
+  }
+
   async addToQueue(operation) {
     this.#bidQueue.push(operation);
     if (!this.#processingQueue) {
@@ -65,27 +348,39 @@ class BidManager extends EventEmitter {
     await this.#processQueue();
   }
 
-  // Monitor bid invalidation
+  // Re-check our orders on both markets. Bids that can no longer fill are
+  // marked invalid and `orderInvalidated` is emitted for their platform; the
+  // collection stays in invalidOrders until a check passes again.
   async monitorBidInvalidation(collection) {
+    if (PaperExecutor.isEnabled()) {
+      return;
+    }
     try {
-      // Check Opensea order status
-      const openseaOrder = await this.checkOpenseaOrder(collection);
-      if (!openseaOrder.valid) {
-        this.invalidOrders.add(collection);
-        this.emit('orderInvalidated', { collection, platform: 'opensea' });
-
-        // Cancel corresponding Blur bid if exists
-        const blurBids = await BidStorage.getActiveBids(collection, 'blur');
-        for (const bid of blurBids) {
-          await this.cancelBid('blur', collection, bid.nonce);
-        }
+      const results = {
+        opensea: await this.checkOpenseaOrder(collection),
+        blur: await this.checkBlurOrder(collection),
+      };
+      const failed = Object.entries(results).filter(
+        ([, result]) => !result.valid,
+      );
+      if (failed.length === 0) {
+        this.invalidOrders.delete(collection);
+        return;
       }
 
-      // Check Blur order status
-      const blurOrder = await this.checkBlurOrder(collection);
-      if (!blurOrder.valid) {
-        this.invalidOrders.add(collection);
-        this.emit('orderInvalidated', { collection, platform: 'blur' });
+      this.invalidOrders.add(collection);
+      for (const [platform, result] of failed) {
+        for (const { bid, reason } of result.invalidBids) {
+          if (bid.canTransition('invalid')) {
+            await BidStorage.transitionBid(bid, 'invalid', { reason });
+          }
+        }
+        this.emit('orderInvalidated', {
+          collection,
+          platform,
+          reason: result.reason,
+          bids: result.invalidBids.map(({ bid }) => bid),
+        });
       }
     } catch (error) {
       logger.error(
@@ -95,37 +390,150 @@ class BidManager extends EventEmitter {
     }
   }
 
-  // Calculate bid amounts with gas consideration
-  async calculateBidAmount(platform, currentBid, collection) {
-    const gasEstimate = await this.estimateGasCost(platform);
+  startInvalidationMonitor() {
+    if (this.invalidationTimer) {
+      return;
+    }
+    // Stored bids outlive their collection's entry in the registry
+    this.invalidationTimer = setInterval(async () => {
+      for (const collection of BidStorage.getCollections()) {
+        await this.monitorBidInvalidation(collection);
+      }
+    }, config.monitoring.orderInvalidationCheck);
+  }
+
+  stopInvalidationMonitor() {
+    clearInterval(this.invalidationTimer);
+    this.invalidationTimer = null;
+  }
+
+  // Calculate bid amounts with fee and gas consideration. `currentBid` is
+  // the opposite market's top bid we sell into, `competingBid` the top bid on
+  // the platform we are bidding on. Returns gross, fees, gas and net for the
+  // buy side (our bid) and the sell side (accepting the opposite bid), all
+  // in wei.
+  async calculateBidAmount(
+    platform,
+    currentBid,
+    collection,
+    competingBid = null,
+  ) {
+    const settings = CollectionRegistry.getBidSettings(collection, platform);
+    const sell = await this.calculateSaleProceeds(
+      OPPOSITE_PLATFORM[platform],
+      BigInt(currentBid),
+      collection,
+    );
     const baseAmount =
       platform === 'blur'
-        ? this.calculateBlurAmount(currentBid)
-        : this.calculateOpenseaAmount(currentBid);
+        ? this.calculateBlurAmount(sell.net, settings)
+        : this.calculateOpenseaAmount(
+          sell.net,
+          settings,
+          competingBid === null ? null : BigInt(competingBid),
+        );
+
+    // Collection bids are filled by the seller, who pays fees and gas
+    const buy = {
+      platform,
+      gross: baseAmount,
+      fees: 0n,
+      gas: 0n,
+      net: baseAmount,
+    };
 
     return {
       amount: baseAmount,
-      gasCost: gasEstimate,
-      totalCost: baseAmount + gasEstimate,
+      gasCost: sell.gas,
+      totalCost: baseAmount + sell.gas,
+      buy,
+      sell,
+      net: sell.net - buy.net,
+    };
+  }
+
+  // What accepting a bid of `gross` on `platform` leaves us with. Fees are
+  // worst case, including optional creator earnings.
+  async calculateSaleProceeds(platform, gross, collection) {
+    const settings = CollectionRegistry.getBidSettings(collection, platform);
+    const gas = await this.estimateGasCost(platform, settings);
+    const fees = await FeeModel.getSaleFees(platform, collection, gross);
+    return {
+      platform,
+      gross,
+      fees: fees.amount,
+      feeBps: fees.bps,
+      gas,
+      net: gross - fees.amount - gas,
     };
   }
 
-  calculateBlurAmount(currentBid) {
-    const amount = currentBid - config.bid.blur.bidDeduction;
-    return Math.floor(amount * 100) / 100; // Round to nearest 0.01
+  calculateBlurAmount(proceeds, settings = config.bid.blur) {
+    const { marginWei } = parseBidSettings(settings);
+    return floorToTick('blur', proceeds - marginWei);
   }
 
-  calculateOpenseaAmount(currentBid) {
-    const amount = currentBid - config.bid.opensea.bidDeduction;
-    return amount + config.bid.opensea.outbidAmount;
+  // Outbid the competing offer by the minimum increment, capped at our
+  // proceeds on the opposite market less the margin
+  calculateOpenseaAmount(
+    proceeds,
+    settings = config.bid.opensea,
+    competingBid = null,
+  ) {
+    const { marginWei, outbidWei } = parseBidSettings(settings);
+    return minWei(
+      floorToTick('opensea', proceeds - marginWei),
+      ceilToTick('opensea', (competingBid ?? 0n) + outbidWei),
+    );
   }
 
-  async estimateGasCost(platform) {
-    return config.bid[platform].gasCost;
+  // Live acceptance cost from the gas oracle; the static gasCost setting only
+  // covers the time before the first block has been sampled
+  async estimateGasCost(platform, settings = config.bid[platform]) {
+    return (
+      GasOracle.estimateAcceptanceCost(platform) ?? parseEth(settings.gasCost)
+    );
+  }
+
+  // Worst-case profit of a bid at `amount` against the opposite market's
+  // current top bid
+  async assessBid(platform, collection, amount) {
+    const settings = CollectionRegistry.getBidSettings(collection, platform);
+    const margin = parseEth(settings.bidDeduction);
+    const sellPlatform = OPPOSITE_PLATFORM[platform];
+    const reference = await RedisService.getTopBid(collection, sellPlatform);
+    if (!reference?.amount) {
+      return {
+        profitable: false,
+        net: null,
+        margin,
+        reason: `No ${sellPlatform} bid to sell into`,
+      };
+    }
+
+    const sell = await this.calculateSaleProceeds(
+      sellPlatform,
+      BigInt(reference.amount),
+      collection,
+    );
+    const net = sell.net - amount;
+    return {
+      profitable: net >= margin,
+      net,
+      margin,
+      sell,
+      reason: `Worst-case net ${formatEth(net)} against margin ${formatEth(margin)}`,
+    };
   }
 
   // Submit bids with priority handling
   async submitBid(platform, collection, amount) {
+    const settings = CollectionRegistry.getBidSettings(collection, platform);
+    if (!settings.enabled) {
+      logger.info(`Skipping ${platform} bid for ${collection}: disabled`);
+      return;
+    }
+
     const operation = async () => {
       try {
         // Create new bid
@@ -133,26 +541,49 @@ class BidManager extends EventEmitter {
           collection,
           platform,
           amount,
+          quantity: settings.quantity,
         });
 
-        // Check for existing bids
-        const existingBids = await BidStorage.getActiveBids(
-          collection,
+        // Replace rather than stack bids for the same collection
+        const existingBids = BidStorage.getLiveBids(collection, platform);
+        if (existingBids.some((existing) => existing.amount === bid.amount)) {
+          logger.info(
+            `${platform} bid for ${collection} already @ ${formatEth(bid.amount)}`,
+          );
+          return;
+        }
+
+        bid.validate(settings);
+
+        const assessment = await this.assessBid(
           platform,
+          collection,
+          bid.amount,
         );
-        if (existingBids.length > 0) {
-          // Update existing bid if amount is different
-          const existingBid = existingBids[0];
-          if (existingBid.amount !== amount) {
-            existingBid.amount = amount;
-            await BidStorage.updateBid(existingBid);
-          }
-        } else {
-          // Submit new bid
-          await this.submitPlatformBid(platform, bid);
-          await BidStorage.addBid(bid);
+        if (!assessment.profitable) {
+          logger.warn(
+            `Refusing ${platform} bid for ${collection} @ ${formatEth(bid.amount)}: ${assessment.reason}`,
+          );
+          this.emit('bidRefused', {
+            platform,
+            collection,
+            amount: bid.amount,
+            assessment,
+          });
+          return;
+        }
+
+        // The old bids go first. One that cannot be cancelled stays tracked
+        // (and renewed) and no second bid is stacked on top of it.
+        for (const existing of existingBids) {
+          await this.cancelAndRecord(platform, collection, existing.nonce);
         }
 
+        await this.submitPlatformBid(platform, bid);
+        this.markSubmitted(bid);
+        await BidStorage.addBid(bid);
+        this.emit('bidSubmitted', bid);
+
         logger.info(`Successfully submitted ${platform} bid for ${collection}`);
       } catch (error) {
         logger.error(`Error submitting ${platform} bid:`, error);
@@ -167,8 +598,7 @@ class BidManager extends EventEmitter {
   async cancelBid(platform, collection, nonce) {
     const operation = async () => {
       try {
-        await this.cancelPlatformBid(platform, collection, nonce);
-        await BidStorage.removeBid(collection, platform, nonce);
+        await this.cancelAndRecord(platform, collection, nonce);
         logger.info(`Successfully cancelled ${platform} bid for ${collection}`);
       } catch (error) {
         logger.error(`Error cancelling ${platform} bid:`, error);
@@ -179,6 +609,67 @@ class BidManager extends EventEmitter {
     await this.addToQueue(operation);
   }
 
+  // Re-sign an Opensea offer to start exactly when `bid` expires, so there is
+  // neither a gap nor two live offers for the same quantity. Skipped once the
+  // bid is gone or no longer profitable against the Blur top bid.
+  async renewOpenseaBid(bid) {
+    const operation = async () => {
+      const { collection } = bid;
+      try {
+        const liveBids = BidStorage.getLiveBids(collection, 'opensea');
+        if (!liveBids.includes(bid)) {
+          logger.info(
+            `Opensea bid ${bid.nonce} is no longer live, not renewing`,
+          );
+          return;
+        }
+        if (liveBids.some((other) => other.startTime >= bid.expirationTime)) {
+          return; // Already renewed
+        }
+
+        const settings = CollectionRegistry.getBidSettings(
+          collection,
+          'opensea',
+        );
+        const assessment = await this.assessBid(
+          'opensea',
+          collection,
+          bid.amount,
+        );
+        if (!settings.enabled || !assessment.profitable) {
+          logger.warn(
+            `Letting Opensea bid for ${collection} @ ${formatEth(bid.amount)} expire: ${settings.enabled ? assessment.reason : 'disabled'}`,
+          );
+          this.emit('renewalSkipped', { bid, assessment });
+          return;
+        }
+
+        const replacement = new NftBid({
+          collection,
+          platform: 'opensea',
+          amount: bid.amount,
+          quantity: bid.quantity - bid.filledQuantity,
+          startTime: bid.expirationTime,
+        });
+        replacement.validate(settings);
+        await this.submitOpenseaBid(replacement);
+        this.markSubmitted(replacement);
+        await BidStorage.addBid(replacement);
+        this.emit('bidSubmitted', replacement);
+        this.emit('bidRenewed', { previous: bid, bid: replacement });
+        logger.info(
+          `Renewed Opensea bid for ${collection} @ ${formatEth(bid.amount)} from ${replacement.startTime}`,
+        );
+      } catch (error) {
+        logger.error(`Error renewing Opensea bid for ${collection}:`, error);
+        this.emit('renewalFailed', { bid, error });
+        throw error;
+      }
+    };
+
+    await this.addToQueue(operation);
+  }
+
   // Platform-specific bid operations
   async submitPlatformBid(platform, bid) {
     if (platform === 'blur') {
@@ -190,151 +681,445 @@ class BidManager extends EventEmitter {
 
   async cancelPlatformBid(platform, collection, nonce) {
     if (platform === 'blur') {
-      await this.cancelBlurBid(collection, nonce);
-    } else {
-      await this.cancelOpenseaBid(collection, nonce);
+      return this.cancelBlurBid(collection, nonce);
     }
+    return this.cancelOpenseaBid(collection, nonce);
   }
 
-  // Placeholder methods to be implemented
-  async checkOpenseaOrder(collection) {
-    // TODO: Implement Opensea order check
-    return { valid: true };
+  // The stored bid only becomes cancelled once the marketplace confirmed it
+  async cancelAndRecord(platform, collection, nonce) {
+    const confirmed = await this.cancelPlatformBid(platform, collection, nonce);
+    if (!confirmed) {
+      throw new Error(
+        `Cancellation of ${platform} bid ${nonce} for ${collection} not confirmed`,
+      );
+    }
+    const bid = this.findBid(collection, platform, nonce);
+    if (bid?.canTransition('cancelled')) {
+      await BidStorage.transitionBid(bid, 'cancelled');
+    }
+    this.emit('bidCancelled', { platform, collection, nonce });
   }
 
-  async checkBlurOrder(collection) {
-    // TODO: Implement Blur order check
-    return { valid: true };
+  // Posted bids are active right away, renewals once their start time comes
+  markSubmitted(bid) {
+    bid.transition('submitted');
+    if ((bid.startTime ?? 0) <= Math.floor(Date.now() / 1000)) {
+      bid.transition('active');
+    }
   }
 
-  async submitBlurBid(bid) {
+  // Fill detector entry point: we received `quantity` NFTs of `collection`
+  // through a bid on `platform` ('unknown' when the fill could not be
+  // attributed; it is then only matched if one platform has bids out).
+  // The oldest open bid is filled first.
+  async recordFill(collection, platform, { quantity = 1, txHash = null } = {}) {
     try {
-      // 1. Prepare Blur API credentials and endpoint
-      const { blur: blurApiKey } = config.apiKeys;
-      const { privateKey, address } = config.wallet;
-      const AUTH_TOKEN = blurApiKey;
-      const WALLET_ADDRESS = address;
-      const NFT_API_KEY = blurApiKey;
-      const BLUR_API = axios.create({
-        baseURL: 'https://nfttools.pro/blur/v1',
-        headers: {
-          'Content-Type': 'application/json',
-          authToken: AUTH_TOKEN,
-          walletAddress: WALLET_ADDRESS,
-          'X-NFT-API-Key': NFT_API_KEY,
-        },
+      const openBids = BidStorage.getBids(collection).filter((bid) =>
+        ['active', 'partially_filled'].includes(bid.status),
+      );
+      const platforms = [...new Set(openBids.map((bid) => bid.platform))];
+      const fillPlatform =
+        platform === 'unknown' && platforms.length === 1
+          ? platforms[0]
+          : platform;
+      const bid = openBids
+        .filter((candidate) => candidate.platform === fillPlatform)
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+      if (!bid) {
+        logger.warn(
+          `Received ${collection} NFT via ${platform} but no open bid matches`,
+        );
+        return null;
+      }
+
+      await BidStorage.recordFill(bid, quantity, { txHash });
+      this.emit('bidFilled', bid);
+      return bid;
+    } catch (error) {
+      logger.error(`Error recording fill for ${collection}:`, error);
+      throw error;
+    }
+  }
+
+  // An Opensea offer is invalid once our WETH balance or conduit allowance
+  // no longer covers it, our Seaport counter moved past it, Seaport has it
+  // cancelled, or Opensea stopped listing it as active
+  async checkOpenseaOrder(collection) {
+    const bids = BidStorage.getLiveBids(collection, 'opensea').filter(
+      (bid) => bid.orderHash,
+    );
+    if (bids.length === 0) {
+      return { valid: true, reason: null, invalidBids: [] };
+    }
+
+    const { address } = config.wallet;
+    const seaport = getSeaport(this.provider);
+    const weth = getWeth(this.provider);
+    const [counter, balance, allowance] = await Promise.all([
+      seaport.getCounter(address),
+      weth.balanceOf(address),
+      weth.allowance(address, config.contracts.openseaConduit),
+    ]);
+
+    const invalidBids = [];
+    for (const bid of bids) {
+      const reason = await this.findOpenseaOrderProblem(bid, {
+        seaport,
+        counter,
+        balance,
+        allowance,
       });
+      if (reason) {
+        invalidBids.push({ bid, reason });
+      }
+    }
+    return toCheckResult(invalidBids);
+  }
 
-      // 2. Cancel previous bid if exists
-      const prevBid = await RedisService.getTopBid(bid.collection, 'blur');
-      if (prevBid && prevBid.amount && prevBid.amount !== bid.amount) {
-        // Call Blur API to cancel previous bid (if API supports it)
-        logger.info(`Cancelling previous Blur bid for ${bid.collection} @ ${prevBid.amount} ETH`);
-        // TODO: Implement actual Blur bid cancellation if API supports
+  async findOpenseaOrderProblem(bid, { seaport, counter, balance, allowance }) {
+    const required = bid.amount * BigInt(bid.quantity - bid.filledQuantity);
+    if (balance < required) {
+      return `WETH balance ${formatEth(balance)} is below ${formatEth(required)}`;
+    }
+    if (allowance < required) {
+      return `WETH allowance to the Opensea conduit is below ${formatEth(required)}`;
+    }
+    if (
+      bid.orderComponents &&
+      BigInt(bid.orderComponents.counter) !== counter
+    ) {
+      return 'Seaport counter incremented';
+    }
+
+    // Filled orders are left to the fill detector
+    const status = await seaport.getOrderStatus(bid.orderHash);
+    if (status.isCancelled) {
+      return 'Cancelled on Seaport';
+    }
+
+    // Renewals are not listed until their start time
+    if (bid.status !== 'submitted') {
+      const order = await OpenseaClient.getOrder(bid.orderHash);
+      if (order?.status && !['ACTIVE', 'FULFILLED'].includes(order.status)) {
+        return `Opensea lists the order as ${order.status}`;
       }
+    }
+    return null;
+  }
+
+  // A Blur bid is invalid once it is no longer executable among our open
+  // bids on Blur or the Blur pool balance no longer covers it
+  async checkBlurOrder(collection) {
+    const bids = BidStorage.getActiveBids(collection, 'blur');
+    if (bids.length === 0) {
+      return { valid: true, reason: null, invalidBids: [] };
+    }
+
+    const [priceLevels, poolBalance] = await Promise.all([
+      BlurClient.getUserCollectionBids(collection),
+      getBlurPool(this.provider).balanceOf(config.wallet.address),
+    ]);
 
-      // 3. Format the new bid
+    const invalidBids = [];
+    for (const bid of bids) {
+      const level = priceLevels.find(
+        (candidate) => parseEth(candidate.price) === bid.amount,
+      );
+      if (!level || Number(level.executableSize) === 0) {
+        invalidBids.push({ bid, reason: 'No longer among our open Blur bids' });
+      } else if (poolBalance < bid.amount) {
+        invalidBids.push({
+          bid,
+          reason: `Blur pool balance ${formatEth(poolBalance)} is below ${formatEth(bid.amount)}`,
+        });
+      }
+    }
+    return toCheckResult(invalidBids);
+  }
+
+  async submitBlurBid(bid) {
+    if (PaperExecutor.isEnabled()) {
+      return PaperExecutor.submitBid(bid);
+    }
+    try {
+      // 1. Format the new bid
       const bidData = {
         contractAddress: bid.collection,
-        price: { unit: 'BETH', amount: bid.amount.toFixed(2) },
-        quantity: 1,
-        expirationTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        price: { unit: 'BETH', amount: formatPrice('blur', bid.amount) },
+        quantity: bid.quantity,
+        expirationTime: new Date(bid.expirationTime * 1000).toISOString(),
       };
-      let fmt;
-      try {
-        fmt = await BLUR_API.post('/collection-bids/format', bidData);
-      } catch (err) {
-        logger.error(`Blur format failed: ${err.response?.data || err.message}`);
-        throw err;
-      }
-      const sigObj = fmt.data.signatures.find((s) => s.marketplace === 'BLUR');
+      const fmt = await BlurClient.formatCollectionBid(bidData);
+      const sigObj = fmt.signatures.find((s) => s.marketplace === 'BLUR');
       if (!sigObj) {
         logger.error('No BLUR signature returned from format');
         throw new Error('No BLUR signature returned from format');
       }
-      // Normalize BigNumber fields
-      const normalized = {};
-      for (const [k, v] of Object.entries(sigObj.signData.value)) {
-        if (v && typeof v === 'object' && typeof v.hex === 'string') {
-          normalized[k] = BigInt(v.hex).toString();
-        } else {
-          normalized[k] = v;
-        }
-      }
-      // Sign with private key
+      // 2. Sign with private key
       let signature;
       try {
-        const wallet = new (await import('ethers')).Wallet(privateKey);
-        signature = await wallet.signTypedData(
-          sigObj.signData.domain,
-          sigObj.signData.types,
-          normalized,
-        );
+        signature = await signBlurData(this.getWallet(), sigObj.signData);
       } catch (err) {
         logger.error(`Signing failed: ${err.message}`);
         throw err;
       }
-      // Submit the bid
-      try {
-        await BLUR_API.post('/collection-bids/submit', {
-          ...bidData,
-          marketplaceData: sigObj.marketplaceData,
-          signature,
-        });
-        logger.info(`Blur bid submitted for ${bid.collection} @ ${bid.amount} ETH`);
-        await RedisService.setTopBid(bid.collection, 'blur', { amount: bid.amount });
-      } catch (err) {
-        logger.error(`Blur submit failed: ${err.response?.data || err.message}`);
-        throw err;
-      }
+      // 3. Submit the bid
+      await BlurClient.submitCollectionBid({
+        ...bidData,
+        marketplaceData: sigObj.marketplaceData,
+        signature,
+      });
+      bid.signature = signature;
+      logger.info(
+        `Blur bid submitted for ${bid.collection} @ ${formatEth(bid.amount)} ETH`,
+      );
     } catch (error) {
       logger.error('submitBlurBid error:', error);
       throw error;
     }
   }
 
+  // Seaport 1.6 collection offer: Opensea builds the criteria, we add the
+  // WETH payment and fees, sign the order components and post the order.
+  // Offers run from `bid.startTime` (now unless set) for expirationSeconds.
   async submitOpenseaBid(bid) {
+    const settings = CollectionRegistry.getBidSettings(
+      bid.collection,
+      'opensea',
+    );
+    const startTime = bid.startTime ?? Math.floor(Date.now() / 1000);
+    bid.startTime = startTime;
+    bid.expirationTime = startTime + settings.expirationSeconds;
+
+    if (PaperExecutor.isEnabled()) {
+      return PaperExecutor.submitBid(bid);
+    }
     try {
-      // 1. Prepare Opensea API credentials and endpoint
-      const { opensea: OPENSEA_API_KEY } = config.apiKeys;
-      const { address: WALLET_ADDRESS } = config.wallet;
-      const OPENSEA_API = axios.create({
-        baseURL: 'https://api.opensea.io/api/v2',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': OPENSEA_API_KEY,
-        },
-      });
-      // 2. Cancel previous offer if exists and expired/outbid
-      // (Opensea offers expire every 11 minutes, so we always submit a new one)
-      // 3. Submit new offer
-      const offerData = {
-        protocol_address: bid.collection,
-        offerer: WALLET_ADDRESS,
-        price: bid.amount.toFixed(5),
-        expiration_time: Math.floor(Date.now() / 1000) + 11 * 60, // 11 minutes from now
-      };
-      try {
-        await OPENSEA_API.post('/offers/collection', offerData);
-        logger.info(`Opensea bid submitted for ${bid.collection} @ ${bid.amount} ETH`);
-        await RedisService.setTopBid(bid.collection, 'opensea', { amount: bid.amount });
-      } catch (err) {
-        logger.error(`Opensea submit failed: ${err.response?.data || err.message}`);
-        throw err;
+      const { address } = config.wallet;
+      const collection = CollectionRegistry.getByContract(bid.collection);
+      if (!collection?.slug) {
+        throw new Error(`No Opensea slug for ${bid.collection}`);
       }
+
+      const build = await OpenseaClient.buildOffer({
+        slug: collection.slug,
+        offerer: address,
+        quantity: bid.quantity,
+        offerProtection: settings.offerProtection,
+      });
+      const fees = await FeeModel.getFees(bid.collection);
+      const counter = await getSeaport(this.provider).getCounter(address);
+
+      const components = buildOfferComponents({
+        offerer: address,
+        amount: bid.amount,
+        quantity: bid.quantity,
+        partialParameters: build.partialParameters,
+        fees: fees.opensea.items.filter((item) => item.required),
+        startTime,
+        endTime: bid.expirationTime,
+        counter,
+      });
+      const signature = await signOrderComponents(this.getWallet(), components);
+
+      const order = await OpenseaClient.postOffer({
+        parameters: components,
+        signature,
+        criteria: build.criteria || { collection: { slug: collection.slug } },
+      });
+
+      bid.orderHash = order.order_hash || getOrderHash(components);
+      bid.orderComponents = components;
+      bid.signature = signature;
+      logger.info(
+        `Opensea bid submitted for ${bid.collection} @ ${formatEth(bid.amount)} ETH (${bid.orderHash})`,
+      );
     } catch (error) {
       logger.error('submitOpenseaBid error:', error);
       throw error;
     }
   }
 
+  // Blur cancels by price level, so every bid of ours at this bid's price is
+  // pulled. Resolves true once Blur has confirmed the cancellation.
   async cancelBlurBid(collection, nonce) {
-    // TODO: Implement Blur bid cancellation
+    if (PaperExecutor.isEnabled()) {
+      return PaperExecutor.cancelBid('blur', collection, nonce);
+    }
+    const bid = this.findBid(collection, 'blur', nonce);
+    if (!bid) {
+      logger.warn(`No Blur bid ${nonce} for ${collection}, nothing to cancel`);
+      return true;
+    }
+    return this.cancelBlurPriceLevel(collection, bid.amount);
+  }
+
+  // The nfttools cancel call is authenticated like submit, by the API key
+  // and wallet headers. Unless Blur answers with an explicit success, the
+  // price level only counts as cancelled once it is gone from our open bids.
+  async cancelBlurPriceLevel(collection, amount) {
+    try {
+      const result = await BlurClient.cancelCollectionBids({
+        contractAddress: collection,
+        criteriaPrices: [{ price: formatPrice('blur', amount) }],
+        criteriaType: 'COLLECTION',
+      });
+      if (
+        result?.success !== true &&
+        (await this.hasBlurPriceLevel(collection, amount))
+      ) {
+        logger.warn(
+          `Blur did not cancel bid for ${collection}: ${JSON.stringify(result)}`,
+        );
+        return false;
+      }
+      logger.info(
+        `Blur bid for ${collection} @ ${formatEth(amount)} ETH cancelled`,
+      );
+      return true;
+    } catch (error) {
+      logger.error('cancelBlurBid error:', error);
+      throw error;
+    }
+  }
+
+  async hasBlurPriceLevel(collection, amount) {
+    const priceLevels = await BlurClient.getUserCollectionBids(collection);
+    return priceLevels.some(
+      (level) =>
+        parseEth(level.price) === amount && Number(level.executableSize) > 0,
+    );
+  }
+
+  async cancelOpenseaBid(collection, nonce, { onchain = false } = {}) {
+    if (PaperExecutor.isEnabled()) {
+      return PaperExecutor.cancelBid('opensea', collection, nonce);
+    }
+    const bid = this.findBid(collection, 'opensea', nonce);
+    if (!bid?.orderHash) {
+      logger.warn(`No Opensea order for bid ${nonce}, nothing to cancel`);
+      return true;
+    }
+    return this.cancelOpenseaOrder(bid, { onchain });
   }
 
-  async cancelOpenseaBid(collection, nonce) {
-    // TODO: Implement Opensea bid cancellation
+  // Offers behind Opensea's signed zone (offer protection) can be cancelled
+  // off-chain through the API; anything else, or `onchain`, goes through
+  // Seaport's cancel. Resolves true once the cancellation is confirmed: an
+  // off-chain cancel when Opensea acknowledged it and reports the order as
+  // CANCELLED, an on-chain one when the cancel is mined.
+  async cancelOpenseaOrder(order, { onchain = false } = {}) {
+    try {
+      const zone = order.orderComponents?.zone || ethers.ZeroAddress;
+      if (!onchain && zone !== ethers.ZeroAddress) {
+        const signature = await signCancellation(
+          this.getWallet(),
+          order.orderHash,
+        );
+        const result = await OpenseaClient.cancelOrder(
+          order.orderHash,
+          signature,
+        );
+        if (!result?.last_signature_issued_valid_until) {
+          logger.warn(
+            `Opensea did not cancel order ${order.orderHash}: ${JSON.stringify(result)}`,
+          );
+          return false;
+        }
+        const status = (await OpenseaClient.getOrder(order.orderHash))?.status;
+        if (status !== 'CANCELLED') {
+          logger.warn(
+            `Opensea order ${order.orderHash} is ${status ?? 'unknown'} after cancelling`,
+          );
+          return false;
+        }
+        logger.info(`Opensea order ${order.orderHash} cancelled off-chain`);
+        return true;
+      }
+
+      if (!onchain && !config.cancellation.openseaOnchainFallback) {
+        logger.warn(
+          `Opensea order ${order.orderHash} can only be cancelled on-chain`,
+        );
+        return false;
+      }
+      return await this.cancelSeaportOrders([order]);
+    } catch (error) {
+      logger.error('cancelOpenseaBid error:', error);
+      throw error;
+    }
+  }
+
+  async cancelSeaportOrders(bids) {
+    const request = await getSeaport(this.provider).cancel.populateTransaction(
+      bids.map((bid) => bid.orderComponents),
+    );
+    const tx = await TransactionManager.send(request, {
+      label: `Seaport cancel of ${bids.length} order(s)`,
+    });
+    logger.info(`Seaport cancel sent for ${bids.length} order(s): ${tx.hash}`);
+    const receipt = await tx.wait();
+    return receipt?.status === 1;
+  }
+
+  // Emergency stop: bumping the Seaport counter voids every Opensea order we
+  // have signed, so all stored Opensea bids are dropped once it is mined
+  async cancelAllOpenseaBids() {
+    try {
+      const request = await getSeaport(
+        this.provider,
+      ).incrementCounter.populateTransaction();
+      const tx = await TransactionManager.send(request, {
+        label: 'Seaport counter increment',
+      });
+      logger.warn(`Incrementing Seaport counter: ${tx.hash}`);
+      const receipt = await tx.wait();
+      if (receipt?.status !== 1) {
+        throw new Error(`Seaport incrementCounter reverted: ${tx.hash}`);
+      }
+
+      for (const bid of this.getAllLiveBids('opensea')) {
+        await BidStorage.transitionBid(bid, 'cancelled', {
+          reason: 'Seaport counter incremented',
+        });
+      }
+      this.emit('openseaCounterIncremented', { hash: tx.hash });
+      return receipt;
+    } catch (error) {
+      logger.error('Error incrementing Seaport counter:', error);
+      throw error;
+    }
+  }
+
+  findBid(collection, platform, nonce) {
+    return (
+      BidStorage.getBids(collection, platform).find(
+        (bid) => bid.nonce === nonce,
+      ) || null
+    );
+  }
+
+  getWallet() {
+    if (!this.wallet) {
+      this.wallet = new ethers.Wallet(config.wallet.privateKey, this.provider);
+    }
+    return this.wallet;
   }
 }
 
+const newReconciliationReport = () => ({
+  matched: 0,
+  adopted: [],
+  cancelled: [],
+  leftLive: [],
+  closed: [],
+});
+
+const toCheckResult = (invalidBids) => ({
+  valid: invalidBids.length === 0,
+  reason: invalidBids[0]?.reason ?? null,
+  invalidBids,
+});
+
 export default new BidManager();
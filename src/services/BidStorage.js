@@ -3,13 +3,20 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from '../utils/logger.js';
 import NftBid from '../models/NftBid.js';
+import { config } from '../config/config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 class BidStorage {
   constructor() {
     this.bids = new Map(); // collection -> { blur: NftBid[], opensea: NftBid[] }
-    this.storageFile = path.join(__dirname, '../../data/bids.json');
+    // Paper bids never mix with the real ones
+    this.storageFile = path.join(
+      __dirname,
+      config.paperTrading.enabled
+        ? '../../data/paper-bids.json'
+        : '../../data/bids.json',
+    );
   }
 
   async initialize() {
@@ -131,6 +138,10 @@ class BidStorage {
     }
   }
 
+  getCollections() {
+    return Array.from(this.bids.keys());
+  }
+
   getBids(collection, platform = null) {
     const collectionBids = this.bids.get(collection);
     if (!collectionBids) {
@@ -149,23 +160,85 @@ class BidStorage {
     const now = Math.floor(Date.now() / 1000);
 
     return bids.filter(
-      (bid) => bid.status === 'active' && bid.expirationTime > now,
+      (bid) =>
+        ['active', 'partially_filled'].includes(bid.status) &&
+        bid.expirationTime > now,
     );
   }
 
+  // Bids that may still be open on the marketplace
+  getLiveBids(collection, platform = null) {
+    const now = Math.floor(Date.now() / 1000);
+    return this.getBids(collection, platform).filter((bid) => bid.isLive(now));
+  }
+
+  async transitionBid(bid, status, details = {}) {
+    try {
+      bid.transition(status, details);
+      await this.saveBids();
+      logger.info(
+        `${bid.platform} bid ${bid.nonce} for ${bid.collection} is ${status}`,
+      );
+    } catch (error) {
+      logger.error('Error updating bid status:', error);
+      throw error;
+    }
+  }
+
+  async recordFill(bid, quantity = 1, details = {}) {
+    try {
+      bid.recordFill(quantity, details);
+      await this.saveBids();
+      logger.info(
+        `${bid.platform} bid for ${bid.collection} ${bid.status} (${bid.filledQuantity}/${bid.quantity})`,
+      );
+    } catch (error) {
+      logger.error('Error recording bid fill:', error);
+      throw error;
+    }
+  }
+
+  // Moves lapsed bids to expired and offers whose start time has come to
+  // active. Returns the bids that changed.
+  async refreshStatuses() {
+    const now = Math.floor(Date.now() / 1000);
+    const changed = [];
+
+    for (const platforms of this.bids.values()) {
+      for (const bid of [...platforms.blur, ...platforms.opensea]) {
+        if (bid.expirationTime <= now && bid.canTransition('expired')) {
+          bid.transition('expired');
+          changed.push(bid);
+        } else if (bid.status === 'submitted' && (bid.startTime ?? 0) <= now) {
+          bid.transition('active', { reason: 'start time reached' });
+          changed.push(bid);
+        }
+      }
+    }
+
+    if (changed.length > 0) {
+      await this.saveBids();
+    }
+    return changed;
+  }
+
+  // Drops bids that are over without ever being filled. Bids with fills are
+  // kept with their history: listings find the price paid for a token
+  // through the fill that brought it in.
   async cleanupExpiredBids() {
     const now = Math.floor(Date.now() / 1000);
     let cleaned = 0;
 
-    for (const [collection, platforms] of this.bids.entries()) {
+    for (const platforms of this.bids.values()) {
       for (const platform of ['blur', 'opensea']) {
-        const expiredBids = platforms[platform].filter(
-          (bid) => bid.expirationTime <= now || bid.status === 'cancelled',
-        );
+        const isDone = (bid) =>
+          bid.filledQuantity === 0 &&
+          (bid.expirationTime <= now || bid.isFinal());
+        const expiredBids = platforms[platform].filter(isDone);
 
         if (expiredBids.length > 0) {
           platforms[platform] = platforms[platform].filter(
-            (bid) => bid.expirationTime > now && bid.status !== 'cancelled',
+            (bid) => !isDone(bid),
           );
           cleaned += expiredBids.length;
         }
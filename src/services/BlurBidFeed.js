@@ -0,0 +1,130 @@
+import { EventEmitter } from 'events';
+import { io } from 'socket.io-client';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import RedisService from './RedisService.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import { parseEth } from '../utils/price.js';
+
+// Streams Blur collection bid levels and keeps the top bid per registered
+// collection in Redis.
+//
+// Events:
+//   connected     -> { url }
+//   reconnected   -> { url, attempts }
+//   disconnected  -> { reason }
+//   topBidUpdated -> { collection, platform: 'blur', bid }
+class BlurBidFeed extends EventEmitter {
+  constructor() {
+    super();
+    this.socket = null;
+    this.hasConnected = false;
+    this.reconnectAttempts = 0;
+    this.lastLevels = new Map(); // collection -> last stored bid level
+  }
+
+  start() {
+    if (this.socket) {
+      return;
+    }
+
+    const { url, reconnectDelay } = config.feeds.blur;
+    this.socket = io(url, {
+      transports: ['websocket'],
+      auth: { 'api-key': config.apiKeys.blur },
+      reconnection: true,
+      reconnectionDelay: reconnectDelay,
+    });
+
+    this.socket.on('connect', () => {
+      if (this.hasConnected) {
+        logger.info('Blur bid feed reconnected');
+        this.emit('reconnected', { url, attempts: this.reconnectAttempts });
+      } else {
+        logger.info('Blur bid feed connected');
+        this.emit('connected', { url });
+      }
+      this.hasConnected = true;
+      this.reconnectAttempts = 0;
+    });
+
+    this.socket.io.on('reconnect_attempt', (attempt) => {
+      this.reconnectAttempts = attempt;
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      logger.warn(`Blur bid feed disconnected: ${reason}`);
+      this.emit('disconnected', { reason });
+    });
+
+    this.socket.on('connect_error', (error) => {
+      logger.error('Blur bid feed connection error:', error);
+    });
+
+    this.socket.on('collection_bidLevels', (raw) => this.handleBidLevels(raw));
+  }
+
+  stop() {
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.io.removeAllListeners();
+      this.socket.disconnect();
+      this.socket = null;
+    }
+    this.hasConnected = false;
+  }
+
+  async handleBidLevels(raw) {
+    let event;
+    try {
+      event = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn(`Unparseable Blur bid levels payload: ${raw}`);
+      return;
+    }
+
+    const collection = (event?.contractAddress || '').toLowerCase();
+    if (!CollectionRegistry.has(collection)) {
+      return;
+    }
+
+    // Stored as a wei string, like every other top bid
+    let amount;
+    try {
+      amount = parseEth(event.bestPrice).toString();
+    } catch (error) {
+      logger.warn(
+        `Invalid Blur best price for ${collection}: ${event.bestPrice}`,
+      );
+      return;
+    }
+
+    // Bid levels are re-broadcast often; only store actual changes
+    const previous = this.lastLevels.get(collection);
+    if (
+      previous &&
+      previous.amount === amount &&
+      previous.totalValue === event.totalValue
+    ) {
+      return;
+    }
+
+    const bid = {
+      amount,
+      totalValue: event.totalValue,
+      updatedAt: Date.now(),
+    };
+
+    // Recorded before the write so a burst of identical levels stores once
+    this.lastLevels.set(collection, bid);
+    try {
+      await RedisService.setTopBid(collection, 'blur', bid);
+      this.emit('topBidUpdated', { collection, platform: 'blur', bid });
+    } catch (error) {
+      this.lastLevels.delete(collection);
+      logger.error(`Error storing Blur top bid for ${collection}:`, error);
+    }
+  }
+}
+
+export default new BlurBidFeed();
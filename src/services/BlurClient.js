@@ -0,0 +1,166 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import { parseEth } from '../utils/price.js';
+
+// Blur API through the nfttools proxy
+class BlurClient {
+  constructor() {
+    this.api = axios.create({
+      baseURL: config.apiUrls.blur,
+      headers: {
+        'Content-Type': 'application/json',
+        authToken: config.apiKeys.blur,
+        walletAddress: config.wallet.address,
+        'X-NFT-API-Key': config.apiKeys.blur,
+      },
+    });
+  }
+
+  // Returns the typed data to sign for a collection bid
+  async formatCollectionBid(bidData) {
+    try {
+      const { data } = await this.api.post('/collection-bids/format', bidData);
+      return data;
+    } catch (error) {
+      logger.error(
+        `Blur format failed for ${bidData.contractAddress}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  async submitCollectionBid(payload) {
+    try {
+      const { data } = await this.api.post('/collection-bids/submit', payload);
+      return data;
+    } catch (error) {
+      logger.error(
+        `Blur submit failed for ${payload.contractAddress}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  // Returns the typed data to sign for listing tokens
+  async formatListings(listingData) {
+    try {
+      const { data } = await this.api.post('/listings/format', listingData);
+      return data;
+    } catch (error) {
+      logger.error(
+        `Blur listing format failed for ${listingData.contractAddress}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  async submitListings(payload) {
+    try {
+      const { data } = await this.api.post('/listings/submit', payload);
+      return data;
+    } catch (error) {
+      logger.error(
+        `Blur listing submit failed for ${payload.contractAddress}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  async cancelListings(payload) {
+    try {
+      const { data } = await this.api.post('/listings/cancel', payload);
+      return data;
+    } catch (error) {
+      logger.error(
+        `Blur listing cancel failed for ${payload.contractAddress}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  // Our open collection bids, on one contract or on all of them. One entry
+  // per contract and price level with the number of bids Blur still
+  // considers executable.
+  async getUserCollectionBids(contractAddress = null) {
+    try {
+      const { data } = await this.api.get(
+        `/collection-bids/user/${config.wallet.address}`,
+        { params: contractAddress ? { contractAddress } : {} },
+      );
+      return Array.isArray(data.priceLevels) ? data.priceLevels : [];
+    } catch (error) {
+      logger.error(
+        `Blur open bids failed for ${contractAddress ?? 'all collections'}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  // Best bid Blur will sell a token into right now. The quote is accepted by
+  // its quoteId.
+  async getBidQuote(contractAddress, tokenId) {
+    try {
+      const { data } = await this.api.post('/bids/quote', {
+        contractAddress: contractAddress.toLowerCase(),
+        tokens: [{ tokenId }],
+      });
+      return data;
+    } catch (error) {
+      logger.error(
+        `Blur quote failed for ${contractAddress} #${tokenId}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  // Accepts a quote; on success Blur returns the transaction that sells the
+  // token into the bid
+  async acceptBid({ contractAddress, tokenId, quoteId, feeRate }) {
+    try {
+      const { data } = await this.api.post('/bids/accept', {
+        contractAddress: contractAddress.toLowerCase(),
+        tokens: [{ tokenId }],
+        feeRate,
+        quoteId,
+      });
+      return data;
+    } catch (error) {
+      logger.error(
+        `Blur accept failed for ${contractAddress} #${tokenId}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  // Quote price per token in wei, or null when Blur has no bid for it
+  toQuoteAmount(quote) {
+    const price =
+      quote?.tokens?.[0]?.price?.amount ?? quote?.price?.amount ?? null;
+    return quote?.quoteId && price ? parseEth(price) : null;
+  }
+
+  // Cancels all of our collection bids at the given price levels
+  async cancelCollectionBids(payload) {
+    try {
+      const { data } = await this.api.post('/collection-bids/cancel', payload);
+      return data;
+    } catch (error) {
+      logger.error(
+        `Blur cancel failed for ${payload.contractAddress}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+}
+
+export default new BlurClient();
@@ -0,0 +1,279 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import {
+  DECIMAL_PATTERN,
+  PLATFORMS,
+  resolveBidSettings,
+  validateBidOverrides,
+} from '../config/bidSettings.js';
+
+class CollectionRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.collections = new Map(); // contract -> collection
+    this.slugIndex = new Map(); // slug -> contract
+    this.file = config.collections.file;
+    this.watching = false;
+  }
+
+  async initialize() {
+    try {
+      await this.load();
+      if (config.collections.watch) {
+        this.startWatching();
+      }
+      logger.info(
+        `Collection registry initialized with ${this.collections.size} collections`,
+      );
+    } catch (error) {
+      logger.error('Error initializing collection registry:', error);
+      throw error;
+    }
+  }
+
+  async load() {
+    const fileEntries = await this.readCollectionsFile();
+    const next = this.buildCollections([
+      ...fileEntries,
+      ...config.monitoring.collections,
+    ]);
+    this.apply(next);
+  }
+
+  async readCollectionsFile() {
+    try {
+      const data = await fs.promises.readFile(this.file, 'utf-8');
+      const parsed = JSON.parse(data);
+      if (!Array.isArray(parsed.collections)) {
+        throw new Error(
+          `${this.file} must contain a top-level "collections" array`,
+        );
+      }
+      return parsed.collections;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`Collections file not found at ${this.file}`);
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Merge raw entries into a validated contract -> collection map.
+  // Later entries (config.monitoring.collections) override earlier ones.
+  buildCollections(entries) {
+    const merged = new Map();
+    for (const entry of entries) {
+      const partial = this.normalizeEntry(entry);
+      const existing = merged.get(partial.contract) || {};
+      const collection = { ...existing, ...partial };
+      if (existing.bid && partial.bid) {
+        collection.bid = { ...existing.bid };
+        for (const [platform, fields] of Object.entries(partial.bid)) {
+          collection.bid[platform] = { ...existing.bid[platform], ...fields };
+        }
+      }
+      merged.set(partial.contract, collection);
+    }
+
+    const collections = new Map();
+    const slugs = new Set();
+    for (const collection of merged.values()) {
+      this.validateCollection(collection);
+      if (slugs.has(collection.slug)) {
+        throw new Error(`Duplicate collection slug: ${collection.slug}`);
+      }
+      slugs.add(collection.slug);
+      collections.set(collection.contract, collection);
+    }
+    return collections;
+  }
+
+  normalizeEntry(entry) {
+    // Plain address strings are accepted from the COLLECTIONS env variable
+    if (typeof entry === 'string') {
+      entry = { contract_address: entry };
+    }
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Invalid collection entry: ${JSON.stringify(entry)}`);
+    }
+
+    // Addresses are compared lowercased, so mixed-case checksums are not enforced
+    const address = entry.contract_address || entry.contract;
+    if (
+      typeof address !== 'string' ||
+      !ethers.isAddress(address.toLowerCase())
+    ) {
+      throw new Error(`Invalid collection address: ${address}`);
+    }
+
+    const collection = { contract: address.toLowerCase() };
+    if (entry.slug !== undefined) {
+      collection.slug = String(entry.slug).trim().toLowerCase();
+    }
+    const feeRate = entry.Fee_Rate ?? entry.feeRate;
+    if (feeRate !== undefined) {
+      collection.feeRate = Number(feeRate);
+    }
+    const creatorFeeRate = entry.Creator_Fee_Rate ?? entry.creatorFeeRate;
+    if (creatorFeeRate !== undefined) {
+      collection.creatorFeeRate = Number(creatorFeeRate);
+    }
+    const minAcceptAmount = entry.Min_Accept_Amount ?? entry.minAcceptAmount;
+    if (minAcceptAmount !== undefined) {
+      collection.minAcceptAmount = String(minAcceptAmount);
+    }
+    if (entry.bid !== undefined) {
+      collection.bid = validateBidOverrides(
+        entry.bid,
+        collection.slug || collection.contract,
+      );
+    }
+    return collection;
+  }
+
+  validateCollection(collection) {
+    if (!collection.slug) {
+      throw new Error(`Collection ${collection.contract} is missing a slug`);
+    }
+    for (const [field, name] of [
+      ['feeRate', 'Fee_Rate'],
+      ['creatorFeeRate', 'Creator_Fee_Rate'],
+    ]) {
+      const value = collection[field];
+      if (
+        value !== undefined &&
+        (!Number.isInteger(value) || value < 0 || value > 10000)
+      ) {
+        throw new Error(
+          `Invalid ${name} for ${collection.slug}: expected basis points between 0 and 10000`,
+        );
+      }
+    }
+    if (
+      collection.minAcceptAmount !== undefined &&
+      !DECIMAL_PATTERN.test(collection.minAcceptAmount)
+    ) {
+      throw new Error(
+        `Invalid Min_Accept_Amount for ${collection.slug}: expected an ETH amount`,
+      );
+    }
+    for (const platform of PLATFORMS) {
+      const settings = resolveBidSettings(platform, collection.bid);
+      if (
+        parseFloat(settings.minBidAmount) >= parseFloat(settings.maxBidAmount)
+      ) {
+        throw new Error(
+          `${platform} min bid amount must be less than max bid amount for ${collection.slug}`,
+        );
+      }
+    }
+  }
+
+  // Replace the current set and emit added/removed/changed for the diff
+  apply(next) {
+    const previous = this.collections;
+    this.collections = next;
+    this.slugIndex = new Map(
+      [...next.values()].map((collection) => [
+        collection.slug,
+        collection.contract,
+      ]),
+    );
+
+    for (const [contract, collection] of next.entries()) {
+      const before = previous.get(contract);
+      if (!before) {
+        this.emit('collectionAdded', collection);
+      } else if (JSON.stringify(before) !== JSON.stringify(collection)) {
+        this.emit('collectionChanged', { previous: before, collection });
+      }
+    }
+
+    for (const [contract, collection] of previous.entries()) {
+      if (!next.has(contract)) {
+        this.emit('collectionRemoved', collection);
+      }
+    }
+  }
+
+  async reload() {
+    try {
+      await this.load();
+      logger.info(`Reloaded ${this.collections.size} collections`);
+    } catch (error) {
+      // Keep serving the last good set until the file is fixed
+      logger.error('Error reloading collections, keeping previous set:', error);
+    }
+  }
+
+  startWatching() {
+    if (this.watching) {
+      return;
+    }
+
+    // Polling survives editors that replace the file on save
+    fs.watchFile(
+      this.file,
+      { interval: config.collections.watchInterval },
+      (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.reload();
+        }
+      },
+    );
+    this.watching = true;
+    logger.info(`Watching ${this.file} for collection changes`);
+  }
+
+  stopWatching() {
+    if (this.watching) {
+      fs.unwatchFile(this.file);
+      this.watching = false;
+    }
+  }
+
+  // Lookups
+  getByContract(contract) {
+    if (!contract) {
+      return null;
+    }
+    return this.collections.get(contract.toLowerCase()) || null;
+  }
+
+  getBySlug(slug) {
+    if (!slug) {
+      return null;
+    }
+    const contract = this.slugIndex.get(slug.toLowerCase());
+    return contract ? this.collections.get(contract) : null;
+  }
+
+  has(contract) {
+    return !!this.getByContract(contract);
+  }
+
+  getAll() {
+    return Array.from(this.collections.values());
+  }
+
+  getContracts() {
+    return Array.from(this.collections.keys());
+  }
+
+  // Effective config.bid settings for a collection on one platform
+  getBidSettings(contract, platform) {
+    return resolveBidSettings(platform, this.getByContract(contract)?.bid);
+  }
+
+  getEnabledPlatforms(contract) {
+    return PLATFORMS.filter(
+      (platform) => this.getBidSettings(contract, platform).enabled,
+    );
+  }
+}
+
+export default new CollectionRegistry();
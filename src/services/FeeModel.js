@@ -0,0 +1,146 @@
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import OpenseaClient from './OpenseaClient.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import { applyBps } from '../utils/price.js';
+
+// Resolves what a sale into each marketplace costs us for a collection:
+// - Blur: the collection royalty rate (Fee_Rate in collections.json)
+// - Opensea: the marketplace fee plus creator earnings, taken from the
+//   Opensea collection when lookups are enabled, otherwise from config
+class FeeModel {
+  constructor() {
+    this.openseaFees = new Map(); // slug -> { fees, fetchedAt }
+  }
+
+  async getFees(collection) {
+    const entry = CollectionRegistry.getByContract(collection);
+    return {
+      blur: this.getBlurFees(entry),
+      opensea: await this.getOpenseaFees(entry),
+    };
+  }
+
+  getBlurFees(entry) {
+    const royaltyBps = entry?.feeRate ?? config.fees.blur.royaltyBps;
+    return {
+      items: [{ type: 'royalty', bps: royaltyBps, required: true }],
+    };
+  }
+
+  async getOpenseaFees(entry) {
+    const { marketplaceBps, feeRecipient, creatorBps, lookup } =
+      config.fees.opensea;
+    const defaults = {
+      items: [
+        {
+          type: 'marketplace',
+          bps: marketplaceBps,
+          recipient: feeRecipient,
+          required: true,
+        },
+        {
+          type: 'creator',
+          bps: entry?.creatorFeeRate ?? creatorBps,
+          recipient: null,
+          required: true,
+        },
+      ],
+    };
+
+    // An explicit Creator_Fee_Rate wins over the Opensea lookup
+    if (!lookup || !entry?.slug || entry.creatorFeeRate !== undefined) {
+      return this.resolveCreatorRecipient(defaults, entry);
+    }
+
+    try {
+      return await this.lookupOpenseaFees(entry.slug);
+    } catch (error) {
+      logger.warn(
+        `Falling back to configured Opensea fees for ${entry.slug}: ${error.message}`,
+      );
+      return defaults;
+    }
+  }
+
+  // A configured creator fee has to be paid to someone in a signed order:
+  // the creator recipient Opensea has on file for the collection. Left null
+  // when there is none, and order building refuses the fee.
+  async resolveCreatorRecipient(fees, entry) {
+    const creator = fees.items.find((item) => item.type === 'creator');
+    if (!creator || creator.bps === 0 || !entry?.slug) {
+      return fees;
+    }
+    try {
+      const looked = await this.lookupOpenseaFees(entry.slug);
+      creator.recipient =
+        looked.items.find((item) => item.type === 'creator')?.recipient ?? null;
+    } catch (error) {
+      logger.warn(
+        `No Opensea creator fee recipient for ${entry.slug}: ${error.message}`,
+      );
+    }
+    return fees;
+  }
+
+  async lookupOpenseaFees(slug) {
+    const cached = this.openseaFees.get(slug);
+    if (
+      cached &&
+      Date.now() - cached.fetchedAt < config.fees.opensea.cacheTtl
+    ) {
+      return cached.fees;
+    }
+
+    const data = await OpenseaClient.getCollection(slug);
+    const marketplaceRecipient = config.fees.opensea.feeRecipient.toLowerCase();
+    const items = (data.fees || []).map((fee) => {
+      const isMarketplace =
+        fee.recipient?.toLowerCase() === marketplaceRecipient;
+      return {
+        type: isMarketplace ? 'marketplace' : 'creator',
+        bps: Math.round(Number(fee.fee) * 100), // Opensea reports percentages
+        recipient: fee.recipient,
+        required: isMarketplace || !!fee.required,
+      };
+    });
+
+    if (!items.some((item) => item.type === 'marketplace')) {
+      items.unshift({
+        type: 'marketplace',
+        bps: config.fees.opensea.marketplaceBps,
+        recipient: config.fees.opensea.feeRecipient,
+        required: true,
+      });
+    }
+
+    const fees = { items };
+    this.openseaFees.set(slug, { fees, fetchedAt: Date.now() });
+    return fees;
+  }
+
+  // Fees deducted when selling `gross` wei into `platform`. The worst case
+  // also counts optional creator earnings, which a buyer's offer may include.
+  async getSaleFees(platform, collection, gross, { worstCase = true } = {}) {
+    const fees = await this.getFees(collection);
+    const items = fees[platform].items.filter(
+      (item) => worstCase || item.required,
+    );
+    const bps = items.reduce((total, item) => total + item.bps, 0);
+    return {
+      bps,
+      amount: applyBps(gross, bps),
+      items,
+    };
+  }
+
+  clearCache(slug = null) {
+    if (slug) {
+      this.openseaFees.delete(slug);
+    } else {
+      this.openseaFees.clear();
+    }
+  }
+}
+
+export default new FeeModel();
@@ -0,0 +1,192 @@
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+
+// Tracks base and priority fees per block and the gas our acceptances
+// actually use, and turns both into fee caps and cost estimates.
+// `network.maxGasPrice` (gwei) is a hard ceiling on every fee it hands out.
+//
+// Events:
+//   block -> { blockNumber, baseFee, priorityFees }
+class GasOracle extends EventEmitter {
+  constructor() {
+    super();
+    this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
+    this.running = false;
+    this.blocks = []; // newest last: { blockNumber, baseFee, priorityFees }
+    this.nextBaseFee = null;
+    this.gasUsed = { blur: [], opensea: [] };
+    this.onBlock = (blockNumber) =>
+      this.sampleBlocks(1, blockNumber).catch((error) =>
+        logger.error(`Error sampling gas for block ${blockNumber}:`, error),
+      );
+  }
+
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    await this.sampleBlocks(config.gas.historyBlocks, 'latest');
+    await this.provider.on('block', this.onBlock);
+    logger.info('Gas oracle started');
+  }
+
+  stop() {
+    this.running = false;
+    this.provider.off('block', this.onBlock);
+  }
+
+  // One eth_feeHistory call returns base fees and priority fee percentiles
+  async sampleBlocks(count, newestBlock) {
+    const newest =
+      typeof newestBlock === 'number'
+        ? ethers.toQuantity(newestBlock)
+        : newestBlock;
+    const history = await this.provider.send('eth_feeHistory', [
+      ethers.toQuantity(count),
+      newest,
+      config.gas.rewardPercentiles,
+    ]);
+
+    const oldest = Number(history.oldestBlock);
+    history.reward.forEach((rewards, index) => {
+      this.addBlock({
+        blockNumber: oldest + index,
+        baseFee: BigInt(history.baseFeePerGas[index]),
+        priorityFees: Object.fromEntries(
+          config.gas.rewardPercentiles.map((percentile, i) => [
+            percentile,
+            BigInt(rewards[i]),
+          ]),
+        ),
+      });
+    });
+    // The last base fee is the one the next block will charge
+    this.nextBaseFee = BigInt(
+      history.baseFeePerGas[history.baseFeePerGas.length - 1],
+    );
+  }
+
+  addBlock(sample) {
+    if (this.blocks.some((block) => block.blockNumber === sample.blockNumber)) {
+      return;
+    }
+    this.blocks.push(sample);
+    this.blocks.sort((a, b) => a.blockNumber - b.blockNumber);
+    this.blocks.splice(0, this.blocks.length - config.gas.historyBlocks);
+    this.emit('block', sample);
+  }
+
+  hasData() {
+    return this.blocks.length > 0;
+  }
+
+  getCeiling() {
+    return ethers.parseUnits(String(config.network.maxGasPrice), 'gwei');
+  }
+
+  // Percentile over the recent window of base fees
+  getBaseFee(percentile = config.gas.baseFeePercentile) {
+    const fees = this.blocks.map((block) => block.baseFee);
+    if (this.nextBaseFee !== null) {
+      fees.push(this.nextBaseFee);
+    }
+    return percentileOf(fees, percentile);
+  }
+
+  // Percentile over the recent window of per-block median tips, capped at
+  // `network.maxPriorityFee`
+  getPriorityFee(percentile = config.gas.priorityPercentile) {
+    const median =
+      config.gas.rewardPercentiles[
+        Math.floor(config.gas.rewardPercentiles.length / 2)
+      ];
+    const tips = this.blocks.map((block) => block.priorityFees[median]);
+    const cap = ethers.parseUnits(
+      String(config.network.maxPriorityFee),
+      'gwei',
+    );
+    const tip = percentileOf(tips, percentile) ?? 0n;
+    return tip < cap ? tip : cap;
+  }
+
+  // EIP-1559 fee caps for a transaction sent now. Throws when the next
+  // block's base fee alone is over the ceiling, since it could not be mined.
+  async getTransactionFees() {
+    if (!this.hasData()) {
+      await this.sampleBlocks(config.gas.historyBlocks, 'latest');
+    }
+
+    const ceiling = this.getCeiling();
+    if (this.nextBaseFee > ceiling) {
+      throw new Error(
+        `Base fee ${ethers.formatUnits(this.nextBaseFee, 'gwei')} gwei is above the ${config.network.maxGasPrice} gwei ceiling`,
+      );
+    }
+
+    const priorityFee = this.getPriorityFee();
+    // Room for two full blocks of base fee increases
+    const maxFee = this.nextBaseFee * 2n + priorityFee;
+    const maxFeePerGas = maxFee < ceiling ? maxFee : ceiling;
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas:
+        priorityFee < maxFeePerGas ? priorityFee : maxFeePerGas,
+    };
+  }
+
+  // Gas units an acceptance on `platform` needs: the highest recent
+  // measurement, or the configured limit until we have one
+  getGasLimit(platform) {
+    const samples = this.gasUsed[platform] || [];
+    if (samples.length === 0) {
+      return BigInt(config.transaction.gasLimit[platform]);
+    }
+    const highest = samples.reduce((max, used) => (used > max ? used : max));
+    return (highest * BigInt(10000 + config.gas.limitBufferBps)) / 10000n;
+  }
+
+  // Typical gas used by recent acceptances on `platform`
+  getExpectedGasUsed(platform) {
+    const samples = this.gasUsed[platform] || [];
+    if (samples.length === 0) {
+      return BigInt(config.transaction.gasLimit[platform]);
+    }
+    return percentileOf(samples, config.gas.usagePercentile);
+  }
+
+  recordGasUsed(platform, gasUsed) {
+    const samples = this.gasUsed[platform];
+    if (!samples) {
+      return;
+    }
+    samples.push(BigInt(gasUsed));
+    samples.splice(0, samples.length - config.gas.usageSamples);
+  }
+
+  // Expected cost in wei of accepting a bid on `platform`, or null before the
+  // first block has been sampled
+  estimateAcceptanceCost(platform) {
+    if (!this.hasData()) {
+      return null;
+    }
+    const gasUnits = this.getExpectedGasUsed(platform);
+    const gasPrice = this.getBaseFee() + this.getPriorityFee();
+    const ceiling = this.getCeiling();
+    return gasUnits * (gasPrice < ceiling ? gasPrice : ceiling);
+  }
+}
+
+// Nearest-rank percentile of bigint values
+const percentileOf = (values, percentile) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+export default new GasOracle();
@@ -0,0 +1,262 @@
+import axios from 'axios';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import AcceptanceStorage from './AcceptanceStorage.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import NftAcceptor from './NftAcceptor.js';
+import { decodeTransfers, transferTopics } from '../utils/transfers.js';
+
+// getNFTsForOwner takes at most 45 contract filters per request
+const ALCHEMY_CONTRACTS_PER_REQUEST = 45;
+
+// Holdings from Alchemy's NFT API
+class AlchemyHoldings {
+  constructor() {
+    this.api = axios.create({
+      baseURL: `${config.apiUrls.alchemyNft}/${config.apiKeys.alchemy}`,
+    });
+  }
+
+  async getHoldings(owner, contracts) {
+    const holdings = [];
+    for (
+      let start = 0;
+      start < contracts.length;
+      start += ALCHEMY_CONTRACTS_PER_REQUEST
+    ) {
+      const batch = contracts.slice(
+        start,
+        start + ALCHEMY_CONTRACTS_PER_REQUEST,
+      );
+      let pageKey;
+      do {
+        const { data } = await this.api.get('/getNFTsForOwner', {
+          params: {
+            owner,
+            contractAddresses: batch,
+            withMetadata: false,
+            pageSize: 100,
+            pageKey,
+          },
+        });
+        for (const nft of data.ownedNfts || []) {
+          holdings.push({
+            collection: (
+              nft.contractAddress ?? nft.contract.address
+            ).toLowerCase(),
+            tokenId: BigInt(nft.tokenId).toString(),
+            quantity: Number(nft.balance ?? 1),
+            standard: nft.tokenType?.toLowerCase() ?? null,
+          });
+        }
+        pageKey = data.pageKey;
+      } while (pageKey);
+    }
+    return holdings;
+  }
+}
+
+// Holdings rebuilt from the Transfer logs into and out of the wallet. Balances
+// are kept between sweeps, so after the first scan of a contract only the new
+// blocks are read.
+class LogScanHoldings {
+  constructor(provider) {
+    this.provider = provider;
+    this.balances = new Map(); // collection:tokenId -> holding
+    this.scannedTo = new Map(); // contract -> last block scanned
+  }
+
+  async getHoldings(owner, contracts) {
+    const latest = await this.provider.getBlockNumber();
+    const ranges = new Map(); // first block to scan -> contracts
+    for (const contract of contracts) {
+      const fromBlock = this.scannedTo.has(contract)
+        ? this.scannedTo.get(contract) + 1
+        : this.getStartBlock(latest);
+      ranges.set(fromBlock, [...(ranges.get(fromBlock) || []), contract]);
+    }
+
+    for (const [fromBlock, group] of ranges) {
+      await this.scan(owner, group, fromBlock, latest);
+      for (const contract of group) {
+        this.scannedTo.set(contract, latest);
+      }
+    }
+    return [...this.balances.values()].filter(
+      (holding) =>
+        holding.quantity > 0 && contracts.includes(holding.collection),
+    );
+  }
+
+  getStartBlock(latest) {
+    return (
+      config.inventory.fromBlock ??
+      Math.max(0, latest - config.inventory.lookbackBlocks)
+    );
+  }
+
+  async scan(owner, contracts, fromBlock, toBlock) {
+    const { logChunkSize } = config.inventory;
+    for (let start = fromBlock; start <= toBlock; start += logChunkSize) {
+      const end = Math.min(start + logChunkSize - 1, toBlock);
+      for (const direction of ['to', 'from']) {
+        for (const topics of transferTopics(owner, direction)) {
+          const logs = await this.provider.getLogs({
+            address: contracts,
+            topics,
+            fromBlock: start,
+            toBlock: end,
+          });
+          for (const log of logs) {
+            for (const transfer of decodeTransfers(log)) {
+              this.addUnits(transfer, direction === 'to' ? 1 : -1);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  addUnits(transfer, sign) {
+    const key = `${transfer.collection}:${transfer.tokenId}`;
+    const holding = this.balances.get(key) || { ...transfer, quantity: 0 };
+    holding.quantity += sign * transfer.quantity;
+    this.balances.set(key, holding);
+  }
+}
+
+// Finds NFTs of registered collections that sit in the wallet with no sale
+// under way: received while the bot was down, or left behind by a failed or
+// bidless acceptance. Each unsold unit is handed to the NftAcceptor. Holdings
+// come from a pluggable source, Alchemy's NFT API by default, with the RPC
+// log scan as the fallback.
+//
+// Events:
+//   swept -> { holdings, queued }
+class InventoryService extends EventEmitter {
+  constructor() {
+    super();
+    this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
+    this.sources = {
+      alchemy: new AlchemyHoldings(),
+      logs: new LogScanHoldings(this.provider),
+    };
+    this.source = null;
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  // A source name, or any object with getHoldings(owner, contracts)
+  useSource(source) {
+    const selected = typeof source === 'string' ? this.sources[source] : source;
+    if (!selected?.getHoldings) {
+      throw new Error(`Unknown inventory source: ${source}`);
+    }
+    this.source = selected;
+  }
+
+  async start() {
+    if (this.timer) {
+      return;
+    }
+    if (!this.source) {
+      this.useSource(config.apiKeys.alchemy ? config.inventory.source : 'logs');
+    }
+    await this.sweep();
+    this.timer = setInterval(
+      () =>
+        this.sweep().catch((error) =>
+          logger.error('Error in inventory sweep:', error),
+        ),
+      config.inventory.sweepInterval,
+    );
+    logger.info('Inventory sweeps started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async getHoldings(contracts) {
+    try {
+      return await this.source.getHoldings(config.wallet.address, contracts);
+    } catch (error) {
+      if (this.source === this.sources.logs) {
+        throw error;
+      }
+      logger.warn(
+        `Inventory source failed, scanning Transfer logs instead: ${error.message}`,
+      );
+      return this.sources.logs.getHoldings(config.wallet.address, contracts);
+    }
+  }
+
+  async sweep() {
+    if (this.sweeping) {
+      return null;
+    }
+    this.sweeping = true;
+    try {
+      const contracts = CollectionRegistry.getContracts();
+      const holdings =
+        contracts.length > 0 ? await this.getHoldings(contracts) : [];
+
+      const queued = [];
+      for (const holding of holdings) {
+        const units = this.getUnsoldUnits(holding);
+        if (units <= 0) {
+          continue;
+        }
+        logger.info(
+          `Unsold ${holding.collection} #${holding.tokenId} x${units} (${describeLastAcceptance(holding)}), queueing acceptance`,
+        );
+        const nft = { ...holding, platform: 'unknown', txHash: null };
+        for (let unit = 0; unit < units; unit++) {
+          NftAcceptor.handleNftReceived(nft).catch((error) =>
+            logger.error(`Error accepting NFT ${nft.tokenId}:`, error),
+          );
+        }
+        queued.push({ ...holding, quantity: units });
+      }
+
+      this.emit('swept', { holdings, queued });
+      return { holdings, queued };
+    } catch (error) {
+      logger.error('Error sweeping inventory:', error);
+      throw error;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // Held units less the ones already on their way to a sale. A token sold
+  // within the last sweep interval is left alone: the holdings source may
+  // not have caught up with the sale yet.
+  getUnsoldUnits(holding) {
+    const last = getLastAcceptance(holding);
+    if (
+      last?.status === 'accepted' &&
+      Date.now() - last.updatedAt < config.inventory.sweepInterval
+    ) {
+      return 0;
+    }
+    return holding.quantity - NftAcceptor.getInFlightCount(holding);
+  }
+}
+
+const getLastAcceptance = ({ collection, tokenId }) =>
+  AcceptanceStorage.getByToken(collection, tokenId).reduce(
+    (last, record) =>
+      !last || record.createdAt > last.createdAt ? record : last,
+    null,
+  );
+
+const describeLastAcceptance = (holding) => {
+  const last = getLastAcceptance(holding);
+  return last ? `last acceptance ${last.status}` : 'never handled';
+};
+
+export default new InventoryService();
@@ -0,0 +1,531 @@
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import NftListing from '../models/NftListing.js';
+import ListingStorage from './ListingStorage.js';
+import AcceptanceStorage from './AcceptanceStorage.js';
+import ApprovalManager from './ApprovalManager.js';
+import BidManager from './BidManager.js';
+import BidStorage from './BidStorage.js';
+import BlurClient from './BlurClient.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import FeeModel from './FeeModel.js';
+import NftAcceptor from './NftAcceptor.js';
+import OpenseaClient from './OpenseaClient.js';
+import PaperExecutor from './PaperExecutor.js';
+import {
+  applyBps,
+  ceilToTick,
+  formatEth,
+  formatPrice,
+  maxWei,
+  parseEth,
+} from '../utils/price.js';
+import {
+  buildListingComponents,
+  getOrderHash,
+  getSeaport,
+  signOrderComponents,
+} from '../utils/seaport.js';
+import { getNftCollection } from '../utils/tokens.js';
+import { signBlurData } from '../utils/blur.js';
+
+const BPS = 10000n;
+
+// Lists NFTs no bid would buy at our minimum, so they do not sit in the
+// wallet. When the NftAcceptor finds no acceptable bid, one unit of the token
+// is listed on every venue in `listing.platforms` at the highest of the
+// collection floor, the best bid plus `listing.premiumBps`, what we paid
+// grossed up for the venue's fees, and the collection's minimum price.
+// Listings last `listing.durationSeconds` and are renewed at a fresh price
+// shortly before they lapse. Every `listing.checkInterval` each listed token
+// is checked: when a bid clears our threshold the listings are cancelled and
+// the token goes back to the NftAcceptor, and once the token has left the
+// wallet its listings are closed.
+//
+// Events:
+//   listed   -> listing
+//   delisted -> { listing, reason }
+//   sold     -> listing
+class ListingManager extends EventEmitter {
+  constructor() {
+    super();
+    this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
+    this.timer = null;
+    this.checking = false;
+    this.onNoAcceptableBid = ({ nft, comparison }) =>
+      this.listToken(nft, comparison).catch((error) =>
+        logger.error(`Error listing ${nft.collection} #${nft.tokenId}:`, error),
+      );
+  }
+
+  async start() {
+    if (this.timer || !config.listing.enabled) {
+      return;
+    }
+    try {
+      await ListingStorage.initialize();
+      NftAcceptor.on('noAcceptableBid', this.onNoAcceptableBid);
+      this.timer = setInterval(
+        () =>
+          this.checkListings().catch((error) =>
+            logger.error('Error checking listings:', error),
+          ),
+        config.listing.checkInterval,
+      );
+      logger.info(
+        `Listing manager started, ${ListingStorage.getLiveListings().length} live listings`,
+      );
+    } catch (error) {
+      logger.error('Error starting listing manager:', error);
+      throw error;
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    NftAcceptor.off('noAcceptableBid', this.onNoAcceptableBid);
+  }
+
+  // Lists the token on every listing venue it is not live on yet.
+  // `comparison` holds the bids the NftAcceptor quoted for it.
+  async listToken(nft, comparison = []) {
+    const live = ListingStorage.getLiveListings(nft.collection, nft.tokenId);
+    const listings = [];
+    for (const platform of config.listing.platforms) {
+      if (live.some((listing) => listing.platform === platform)) {
+        continue;
+      }
+      try {
+        const listing = await this.createListing(nft, platform, comparison);
+        if (listing) {
+          listings.push(listing);
+        }
+      } catch (error) {
+        logger.warn(
+          `Could not list ${nft.collection} #${nft.tokenId} on ${platform}: ${error.message}`,
+        );
+      }
+    }
+    return listings;
+  }
+
+  async createListing(nft, platform, comparison, { startTime = null } = {}) {
+    await ApprovalManager.requireApproval(nft.collection, platform);
+    const pricing = await this.getListingPrice(nft, platform, comparison);
+    if (!pricing) {
+      logger.warn(
+        `No floor, bid, cost basis or minimum to price ${nft.collection} #${nft.tokenId} on ${platform}`,
+      );
+      return null;
+    }
+
+    const start = startTime ?? Math.floor(Date.now() / 1000);
+    const listing = new NftListing({
+      collection: nft.collection,
+      tokenId: nft.tokenId,
+      standard: nft.standard ?? null,
+      platform,
+      amount: pricing.amount,
+      startTime: start,
+      expirationTime: start + config.listing.durationSeconds,
+      pricing: toRecordedPricing(pricing),
+    });
+    await this.submitListing(listing);
+    listing.transition('active');
+    await ListingStorage.addListing(listing);
+    this.emit('listed', listing);
+    logger.info(
+      `Listed ${nft.collection} #${nft.tokenId} on ${platform} @ ${formatEth(listing.amount)} ETH`,
+    );
+    return listing;
+  }
+
+  // The highest of the floor, the best bid plus the premium, the break-even
+  // price on what we paid and the collection minimum, rounded up to the
+  // venue's tick. Null when none of them is known.
+  async getListingPrice(nft, platform, comparison = []) {
+    const floor = await this.getFloorPrice(nft.collection);
+    const bids = comparison.map((quote) => quote.amount);
+    const bestBid = bids.length > 0 ? maxWei(...bids) : null;
+    const costBasis = this.getCostBasis(nft);
+    const minimum = NftAcceptor.getMinAcceptAmount(nft.collection);
+
+    const candidates = [floor, minimum];
+    if (bestBid) {
+      candidates.push(bestBid + applyBps(bestBid, config.listing.premiumBps));
+    }
+    if (costBasis) {
+      const { bps } = await FeeModel.getSaleFees(
+        platform,
+        nft.collection,
+        costBasis,
+      );
+      candidates.push((costBasis * BPS) / (BPS - BigInt(bps)));
+    }
+    const known = candidates.filter((amount) => amount && amount > 0n);
+    if (known.length === 0) {
+      return null;
+    }
+    return {
+      amount: ceilToTick(platform, maxWei(...known)),
+      floor,
+      bestBid,
+      costBasis,
+      minimum,
+    };
+  }
+
+  // Opensea's floor for the collection in wei, or null when unknown
+  async getFloorPrice(collection) {
+    const slug = CollectionRegistry.getByContract(collection)?.slug;
+    if (!slug) {
+      return null;
+    }
+    try {
+      const stats = await OpenseaClient.getCollectionStats(slug);
+      const floor = stats?.total?.floor_price;
+      return floor ? parseEth(Number(floor).toFixed(9)) : null;
+    } catch (error) {
+      logger.warn(`No floor price for ${slug}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // What we paid: the bid whose fill brought the token in, matched by the
+  // transaction it arrived in
+  getCostBasis({ collection, tokenId }) {
+    const txHashes = AcceptanceStorage.getByToken(collection, tokenId)
+      .map((record) => record.receivedTxHash)
+      .filter(Boolean);
+    if (txHashes.length === 0) {
+      return null;
+    }
+    const bid = BidStorage.getBids(collection).find((candidate) =>
+      candidate.history.some(
+        (entry) => entry.txHash && txHashes.includes(entry.txHash),
+      ),
+    );
+    return bid?.amount ?? null;
+  }
+
+  async submitListing(listing) {
+    if (PaperExecutor.isEnabled()) {
+      await PaperExecutor.record('submitListing', {
+        platform: listing.platform,
+        collection: listing.collection,
+        tokenId: listing.tokenId,
+        id: listing.id,
+        price: formatPrice(listing.platform, listing.amount),
+        expirationTime: listing.expirationTime,
+      });
+      return;
+    }
+    if (listing.platform === 'blur') {
+      await this.submitBlurListing(listing);
+    } else {
+      await this.submitOpenseaListing(listing);
+    }
+  }
+
+  // Seaport 1.6 listing paid in ETH, with the required fees taken out of
+  // the price
+  async submitOpenseaListing(listing) {
+    try {
+      const { address } = config.wallet;
+      const fees = await FeeModel.getFees(listing.collection);
+      const counter = await getSeaport(this.provider).getCounter(address);
+      const components = buildListingComponents({
+        offerer: address,
+        collection: listing.collection,
+        tokenId: listing.tokenId,
+        standard: listing.standard,
+        amount: listing.amount,
+        fees: fees.opensea.items.filter((item) => item.required),
+        startTime: listing.startTime,
+        endTime: listing.expirationTime,
+        counter,
+      });
+      const signature = await signOrderComponents(this.getWallet(), components);
+      const data = await OpenseaClient.postListing({
+        parameters: components,
+        signature,
+      });
+
+      listing.orderHash = data?.order?.order_hash || getOrderHash(components);
+      listing.orderComponents = components;
+      listing.signature = signature;
+    } catch (error) {
+      logger.error('submitOpenseaListing error:', error);
+      throw error;
+    }
+  }
+
+  async submitBlurListing(listing) {
+    try {
+      const entry = CollectionRegistry.getByContract(listing.collection);
+      const listingData = {
+        contractAddress: listing.collection,
+        tokens: [
+          {
+            tokenId: listing.tokenId,
+            price: {
+              unit: 'ETH',
+              amount: formatPrice('blur', listing.amount),
+            },
+          },
+        ],
+        feeRate: entry?.feeRate ?? config.fees.blur.royaltyBps,
+        expirationTime: new Date(listing.expirationTime * 1000).toISOString(),
+      };
+      const fmt = await BlurClient.formatListings(listingData);
+      const sigObj = fmt.signatures?.find((s) => s.marketplace === 'BLUR');
+      if (!sigObj) {
+        throw new Error('No BLUR signature returned from listing format');
+      }
+      const signature = await signBlurData(this.getWallet(), sigObj.signData);
+      const result = await BlurClient.submitListings({
+        ...listingData,
+        marketplaceData: sigObj.marketplaceData,
+        signature,
+      });
+      if (result?.success !== true) {
+        throw new Error(
+          `Blur did not confirm the listing: ${JSON.stringify(result)}`,
+        );
+      }
+      listing.signature = signature;
+    } catch (error) {
+      logger.error('submitBlurListing error:', error);
+      throw error;
+    }
+  }
+
+  // Resolves true once the venue has confirmed the cancellation. Our Opensea
+  // listings are not behind the signed zone, so they are only cancelled
+  // on-chain with cancellation.openseaOnchainFallback; otherwise they stay
+  // up until they lapse or the token is sold.
+  async cancelListing(listing, reason) {
+    let cancelled;
+    if (PaperExecutor.isEnabled()) {
+      await PaperExecutor.record('cancelListing', {
+        platform: listing.platform,
+        collection: listing.collection,
+        tokenId: listing.tokenId,
+        id: listing.id,
+      });
+      cancelled = true;
+    } else if (listing.platform === 'blur') {
+      cancelled = await this.cancelBlurListing(listing);
+    } else {
+      cancelled = await BidManager.cancelOpenseaOrder(listing);
+    }
+
+    if (cancelled) {
+      await ListingStorage.transitionListing(listing, 'cancelled', { reason });
+      this.emit('delisted', { listing, reason });
+    }
+    return cancelled;
+  }
+
+  // Authenticated like submit, by the API key and wallet headers; only an
+  // explicit success counts as cancelled
+  async cancelBlurListing(listing) {
+    const result = await BlurClient.cancelListings({
+      contractAddress: listing.collection,
+      tokenIds: [listing.tokenId],
+    });
+    if (result?.success !== true) {
+      logger.warn(
+        `Blur did not cancel listing ${listing.id}: ${JSON.stringify(result)}`,
+      );
+      return false;
+    }
+    return true;
+  }
+
+  async checkListings() {
+    if (this.checking) {
+      return;
+    }
+    this.checking = true;
+    try {
+      for (const listing of await ListingStorage.refreshStatuses()) {
+        this.emit('delisted', { listing, reason: 'expired' });
+      }
+      for (const token of this.getListedTokens()) {
+        try {
+          await this.checkToken(token);
+        } catch (error) {
+          logger.error(
+            `Error checking listings for ${token.collection} #${token.tokenId}:`,
+            error,
+          );
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Tokens with at least one live listing
+  getListedTokens() {
+    const tokens = new Map();
+    for (const listing of ListingStorage.getLiveListings()) {
+      tokens.set(`${listing.collection}:${listing.tokenId}`, {
+        collection: listing.collection,
+        tokenId: listing.tokenId,
+        standard: listing.standard,
+        quantity: 1,
+      });
+    }
+    return [...tokens.values()];
+  }
+
+  async checkToken(token) {
+    // Already on its way to a sale
+    if (NftAcceptor.getInFlightCount(token) > 0) {
+      return;
+    }
+    const listings = ListingStorage.getLiveListings(
+      token.collection,
+      token.tokenId,
+    );
+    if (!PaperExecutor.isEnabled() && !(await this.isHeld(token))) {
+      await this.closeListings(token, listings);
+      return;
+    }
+
+    const { best, comparison } = await NftAcceptor.routeAcceptance(token);
+    if (best) {
+      await this.delistForBid(token, listings, best);
+      return;
+    }
+    await this.renewListings(token, listings, comparison);
+  }
+
+  // A bid now clears our threshold: pull the listings and sell into it
+  async delistForBid(token, listings, bid) {
+    const reason = `${bid.platform} bid of ${formatEth(bid.amount)} ETH`;
+    logger.info(
+      `${reason} is acceptable for ${token.collection} #${token.tokenId}, delisting`,
+    );
+    for (const listing of listings) {
+      try {
+        await this.cancelListing(listing, reason);
+      } catch (error) {
+        logger.warn(
+          `Could not cancel listing ${listing.id}, accepting anyway: ${error.message}`,
+        );
+      }
+    }
+    NftAcceptor.handleNftReceived({
+      ...token,
+      platform: 'unknown',
+      txHash: null,
+    }).catch((error) =>
+      logger.error(`Error accepting NFT ${token.tokenId}:`, error),
+    );
+  }
+
+  // Listings about to lapse are replaced at a fresh price: on Opensea from
+  // the moment the old listing ends, on Blur right away once the old one is
+  // cancelled
+  async renewListings(token, listings, comparison) {
+    const now = Math.floor(Date.now() / 1000);
+    for (const listing of listings) {
+      const renewed = listings.some(
+        (other) =>
+          other.platform === listing.platform &&
+          other.startTime >= listing.expirationTime,
+      );
+      if (
+        renewed ||
+        listing.expirationTime - config.listing.renewalLeadSeconds > now
+      ) {
+        continue;
+      }
+      try {
+        if (listing.platform === 'opensea') {
+          await this.createListing(token, 'opensea', comparison, {
+            startTime: listing.expirationTime,
+          });
+        } else if (await this.cancelListing(listing, 'repriced')) {
+          await this.createListing(token, listing.platform, comparison);
+        }
+      } catch (error) {
+        logger.warn(
+          `Could not renew ${listing.platform} listing ${listing.id}: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  async isHeld({ collection, tokenId, standard }) {
+    const contract = getNftCollection(collection, this.provider);
+    if (standard === 'erc1155') {
+      return (await contract.balanceOf(config.wallet.address, tokenId)) > 0n;
+    }
+    const owner = await contract.ownerOf(tokenId);
+    return owner.toLowerCase() === config.wallet.address.toLowerCase();
+  }
+
+  // The token has left the wallet. If we sold it into a bid the listings
+  // are void; otherwise the listing that sold it is found through Seaport,
+  // or put down to Blur, the only other listing it could have gone through.
+  async closeListings(token, listings) {
+    const listedAt = Math.min(...listings.map((listing) => listing.createdAt));
+    const accepted = AcceptanceStorage.getByToken(
+      token.collection,
+      token.tokenId,
+    ).some(
+      (record) => record.status === 'accepted' && record.updatedAt >= listedAt,
+    );
+    const sale = accepted ? null : await this.findSale(listings);
+
+    for (const listing of listings) {
+      if (listing === sale) {
+        await ListingStorage.transitionListing(listing, 'sold');
+        this.emit('sold', listing);
+        continue;
+      }
+      const reason = accepted ? 'sold into a bid' : 'token left the wallet';
+      await ListingStorage.transitionListing(listing, 'invalid', { reason });
+      this.emit('delisted', { listing, reason });
+    }
+  }
+
+  async findSale(listings) {
+    const seaport = getSeaport(this.provider);
+    for (const listing of listings) {
+      if (listing.platform !== 'opensea' || !listing.orderHash) {
+        continue;
+      }
+      const { totalFilled } = await seaport.getOrderStatus(listing.orderHash);
+      if (totalFilled > 0n) {
+        return listing;
+      }
+    }
+    return listings.find((listing) => listing.platform === 'blur') ?? null;
+  }
+
+  getWallet() {
+    if (!this.wallet) {
+      this.wallet = new ethers.Wallet(config.wallet.privateKey, this.provider);
+    }
+    return this.wallet;
+  }
+}
+
+// Price inputs are kept with the listing as wei strings
+const toRecordedPricing = (pricing) =>
+  Object.fromEntries(
+    Object.entries(pricing).map(([key, value]) => [
+      key,
+      value === null ? null : value.toString(),
+    ]),
+  );
+
+export default new ListingManager();
@@ -0,0 +1,118 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+import NftListing from '../models/NftListing.js';
+import { config } from '../config/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+class ListingStorage {
+  constructor() {
+    this.listings = new Map(); // id -> NftListing
+    // Paper listings never mix with the real ones
+    this.storageFile = path.join(
+      __dirname,
+      config.paperTrading.enabled
+        ? '../../data/paper-listings.json'
+        : '../../data/listings.json',
+    );
+  }
+
+  async initialize() {
+    try {
+      await this.loadListings();
+      logger.info('Listing storage initialized');
+    } catch (error) {
+      logger.error('Error initializing listing storage:', error);
+      throw error;
+    }
+  }
+
+  async loadListings() {
+    try {
+      const data = await fs.readFile(this.storageFile, 'utf-8');
+      for (const listing of JSON.parse(data)) {
+        this.listings.set(listing.id, NftListing.fromJSON(listing));
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await this.saveListings();
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  async saveListings() {
+    try {
+      await fs.mkdir(path.dirname(this.storageFile), { recursive: true });
+      await fs.writeFile(
+        this.storageFile,
+        JSON.stringify(
+          [...this.listings.values()].map((listing) => listing.toJSON()),
+          null,
+          2,
+        ),
+      );
+    } catch (error) {
+      logger.error('Error saving listings:', error);
+      throw error;
+    }
+  }
+
+  async addListing(listing) {
+    this.listings.set(listing.id, listing);
+    await this.saveListings();
+    logger.info(
+      `Added ${listing.platform} listing for ${listing.collection} #${listing.tokenId}`,
+    );
+  }
+
+  async transitionListing(listing, status, details = {}) {
+    try {
+      listing.transition(status, details);
+      await this.saveListings();
+      logger.info(
+        `${listing.platform} listing ${listing.id} for ${listing.collection} #${listing.tokenId} is ${status}`,
+      );
+    } catch (error) {
+      logger.error('Error updating listing status:', error);
+      throw error;
+    }
+  }
+
+  getListings(collection = null, tokenId = null) {
+    return [...this.listings.values()].filter(
+      (listing) =>
+        (!collection || listing.collection === collection) &&
+        (tokenId === null || listing.tokenId === tokenId),
+    );
+  }
+
+  // Listings that may still be open on the marketplace
+  getLiveListings(collection = null, tokenId = null) {
+    const now = Math.floor(Date.now() / 1000);
+    return this.getListings(collection, tokenId).filter((listing) =>
+      listing.isLive(now),
+    );
+  }
+
+  // Moves lapsed listings to expired. Returns the listings that changed.
+  async refreshStatuses() {
+    const now = Math.floor(Date.now() / 1000);
+    const changed = [];
+    for (const listing of this.listings.values()) {
+      if (listing.expirationTime <= now && listing.canTransition('expired')) {
+        listing.transition('expired');
+        changed.push(listing);
+      }
+    }
+    if (changed.length > 0) {
+      await this.saveListings();
+    }
+    return changed;
+  }
+}
+
+export default new ListingStorage();
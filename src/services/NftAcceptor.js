@@ -2,13 +2,40 @@ import { ethers } from 'ethers';
 import { EventEmitter } from 'events';
 import logger from '../utils/logger.js';
 import { config } from '../config/config.js';
+import GasOracle from './GasOracle.js';
+import PaperExecutor from './PaperExecutor.js';
+import AcceptanceStorage from './AcceptanceStorage.js';
+import BidManager from './BidManager.js';
+import BlurClient from './BlurClient.js';
+import OpenseaClient from './OpenseaClient.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import ApprovalManager from './ApprovalManager.js';
+import TransactionManager from './TransactionManager.js';
+import AcceptanceSimulator from './AcceptanceSimulator.js';
+import PrivateRelay from './PrivateRelay.js';
+import { PLATFORMS } from '../config/bidSettings.js';
+import { formatEth, parseEth } from '../utils/price.js';
+import { encodeFulfillment } from '../utils/seaport.js';
+import { decodeTransfers, transferTopics } from '../utils/transfers.js';
+
+const MAX_SEEN_LOGS = 10000;
 
 class NftAcceptor extends EventEmitter {
   constructor() {
     super();
     this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
     this.wallet = new ethers.Wallet(config.wallet.privateKey, this.provider);
-    this.pendingAcceptances = new Map();
+    this.pendingAcceptances = new Map(); // collection:tokenId -> units queued
+    this.pendingTransfers = new Map(); // txHash:logIndex -> { log, transfers }
+    this.seenLogs = new Set();
+    this.onTransferLog = (log) => this.trackTransferLog(log);
+    this.onBlock = (blockNumber) =>
+      this.confirmTransfers(blockNumber).catch((error) =>
+        logger.error(
+          `Error confirming NFT transfers at ${blockNumber}:`,
+          error,
+        ),
+      );
   }
 
   // Priority queue for acceptance operations
@@ -41,24 +68,19 @@ class NftAcceptor extends EventEmitter {
     await this.#processQueue();
   }
 
-  // Monitor wallet for new NFTs
+  // Watch for NFTs sent to our wallet on any contract: ERC-721 Transfer and
+  // ERC-1155 TransferSingle/TransferBatch with our address as recipient.
+  // Transfers are reported once, after monitoring.confirmations blocks, and
+  // only if they are still in the chain by then.
   async monitorWallet() {
     try {
-      const filter = {
-        address: config.wallet.address,
-        topics: [ethers.id('Transfer(address,address,uint256)')],
-      };
-
-      this.provider.on(filter, async (log) => {
-        const nft = {
-          collection: log.address,
-          tokenId: log.topics[3],
-          platform: this.determinePlatform(log),
-        };
-
-        this.emit('nftReceived', nft);
-        await this.handleNftReceived(nft);
-      });
+      this.transferFilters = transferTopics(config.wallet.address, 'to').map(
+        (topics) => ({ topics }),
+      );
+      for (const filter of this.transferFilters) {
+        await this.provider.on(filter, this.onTransferLog);
+      }
+      await this.provider.on('block', this.onBlock);
 
       logger.info('Started monitoring wallet for new NFTs');
     } catch (error) {
@@ -66,55 +88,347 @@ class NftAcceptor extends EventEmitter {
     }
   }
 
-  determinePlatform(log) {
-    // TODO: Implement platform determination logic
-    // This should check the contract address against known Opensea and Blur contracts
+  stopMonitoring() {
+    for (const filter of this.transferFilters || []) {
+      this.provider.off(filter, this.onTransferLog);
+    }
+    this.provider.off('block', this.onBlock);
+  }
+
+  trackTransferLog(log) {
+    const key = `${log.transactionHash}:${log.index}`;
+    if (this.seenLogs.has(key) || this.pendingTransfers.has(key)) {
+      return;
+    }
+    const transfers = decodeTransfers(log);
+    if (transfers.length > 0) {
+      this.pendingTransfers.set(key, { log, transfers });
+    }
+  }
+
+  async confirmTransfers(blockNumber) {
+    if (this.confirming) {
+      return;
+    }
+    this.confirming = true;
+    try {
+      for (const [key, { log, transfers }] of this.pendingTransfers) {
+        if (
+          blockNumber - log.blockNumber + 1 <
+          config.monitoring.confirmations
+        ) {
+          continue;
+        }
+        // Kept until the receipt is in, so a failed lookup is retried on
+        // the next block
+        const receipt = await this.provider.getTransactionReceipt(
+          log.transactionHash,
+        );
+        this.pendingTransfers.delete(key);
+        if (receipt?.blockHash !== log.blockHash) {
+          logger.warn(`Dropping NFT transfer ${key}: no longer in the chain`);
+          continue;
+        }
+        this.markSeen(key);
+        for (const transfer of transfers) {
+          await this.reportTransfer(transfer, log);
+        }
+      }
+    } finally {
+      this.confirming = false;
+    }
+  }
+
+  markSeen(key) {
+    this.seenLogs.add(key);
+    if (this.seenLogs.size > MAX_SEEN_LOGS) {
+      this.seenLogs.delete(this.seenLogs.values().next().value);
+    }
+  }
+
+  async reportTransfer(transfer, log) {
+    if (!CollectionRegistry.has(transfer.collection)) {
+      logger.info(
+        `Ignoring ${transfer.collection} #${transfer.tokenId}: not a traded collection`,
+      );
+      return;
+    }
+
+    const nft = {
+      ...transfer,
+      platform: await this.determinePlatform(log),
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+    };
+    this.emit('nftReceived', nft);
+
+    // Each ERC-1155 unit is sold on its own
+    for (let unit = 0; unit < nft.quantity; unit++) {
+      this.handleNftReceived(nft).catch((error) =>
+        logger.error(`Error accepting NFT ${nft.tokenId}:`, error),
+      );
+    }
+  }
+
+  // The marketplace whose contract the transferring transaction called
+  async determinePlatform(log) {
+    try {
+      const tx = await this.provider.getTransaction(log.transactionHash);
+      const to = tx?.to?.toLowerCase();
+      if (to === config.contracts.seaport.toLowerCase()) {
+        return 'opensea';
+      }
+      if (to === config.contracts.blurExchange.toLowerCase()) {
+        return 'blur';
+      }
+    } catch (error) {
+      logger.error(
+        `Error determining platform of ${log.transactionHash}:`,
+        error,
+      );
+    }
     return 'unknown';
   }
 
   async handleNftReceived(nft) {
+    const key = `${nft.collection}:${nft.tokenId}`;
+    this.pendingAcceptances.set(key, this.getPendingCount(nft) + 1);
+
     const operation = async () => {
+      let record = null;
       try {
-        const acceptanceData = await this.prepareAcceptanceData(nft);
-        if (!acceptanceData) {
-          logger.warn(`No acceptance data prepared for NFT ${nft.tokenId}`);
+        record = await AcceptanceStorage.create(nft);
+        const { best, comparison } = await this.routeAcceptance(nft);
+        if (!best) {
+          await AcceptanceStorage.update(record, {
+            status: 'no_bid',
+            comparison: comparison.map(toRecordedQuote),
+          });
+          logger.warn(
+            `No acceptable bid for ${nft.collection} #${nft.tokenId}`,
+          );
+          this.emit('noAcceptableBid', { nft, comparison });
           return;
         }
+        await AcceptanceStorage.update(record, {
+          status: 'routed',
+          venue: best.platform,
+          quote: { ...toRecordedQuote(best), raw: best.raw },
+          comparison: comparison.map(toRecordedQuote),
+        });
 
-        await this.submitAcceptance(nft.platform, acceptanceData);
+        const receipt = await this.accept(nft, best, record);
+        await AcceptanceStorage.update(record, {
+          status: 'accepted',
+          txHash: receipt.hash,
+        });
         logger.info(
-          `Successfully accepted NFT ${nft.tokenId} on ${nft.platform}`,
+          `Successfully accepted NFT ${nft.tokenId} on ${best.platform} for net ${formatEth(best.net)} ETH`,
         );
       } catch (error) {
         logger.error(`Error handling NFT ${nft.tokenId}:`, error);
+        if (record) {
+          await AcceptanceStorage.update(record, {
+            status: 'failed',
+            error: error.message,
+          });
+        }
         throw error;
+      } finally {
+        const remaining = this.getPendingCount(nft) - 1;
+        if (remaining > 0) {
+          this.pendingAcceptances.set(key, remaining);
+        } else {
+          this.pendingAcceptances.delete(key);
+        }
       }
     };
 
     await this.addToQueue(operation);
   }
 
-  async prepareAcceptanceData(nft) {
-    try {
-      if (nft.platform === 'blur') {
-        return await this.prepareBlurAcceptance(nft);
-      } else if (nft.platform === 'opensea') {
-        return await this.prepareOpenseaAcceptance(nft);
+  // Units of a token queued or being accepted right now
+  getPendingCount({ collection, tokenId }) {
+    return this.pendingAcceptances.get(`${collection}:${tokenId}`) || 0;
+  }
+
+  // Units of a token that are already on their way to a sale: arrived but
+  // not yet confirmed, queued, or being accepted
+  getInFlightCount(token) {
+    let units = this.getPendingCount(token);
+    for (const { transfers } of this.pendingTransfers.values()) {
+      for (const transfer of transfers) {
+        if (
+          transfer.collection === token.collection &&
+          transfer.tokenId === token.tokenId
+        ) {
+          units += transfer.quantity;
+        }
       }
-      return null;
-    } catch (error) {
-      logger.error(
-        `Error preparing acceptance data for ${nft.platform}:`,
-        error,
+    }
+    return units;
+  }
+
+  // Quotes the live best bid for this exact token on every venue and picks
+  // the one with the highest proceeds after fees and gas. Venues that fail to
+  // quote are left out; nothing is picked unless the proceeds are positive
+  // and the bid meets the collection's minimum price.
+  async routeAcceptance(nft) {
+    const minimum = this.getMinAcceptAmount(nft.collection);
+    const comparison = [];
+    for (const platform of PLATFORMS) {
+      try {
+        const quote = await this.getQuote(platform, nft);
+        if (!quote) {
+          continue;
+        }
+        const proceeds = await BidManager.calculateSaleProceeds(
+          platform,
+          quote.amount,
+          nft.collection,
+        );
+        comparison.push({ ...quote, ...proceeds });
+      } catch (error) {
+        logger.warn(
+          `No ${platform} quote for ${nft.collection} #${nft.tokenId}: ${error.message}`,
+        );
+      }
+    }
+
+    const best = comparison
+      .filter((quote) => quote.net > 0n && quote.amount >= minimum)
+      .reduce(
+        (top, quote) => (!top || quote.net > top.net ? quote : top),
+        null,
       );
+    return { best, comparison };
+  }
+
+  async getQuote(platform, nft) {
+    if (platform === 'blur') {
+      const quote = await BlurClient.getBidQuote(nft.collection, nft.tokenId);
+      const amount = BlurClient.toQuoteAmount(quote);
+      return amount
+        ? { platform, amount, reference: quote.quoteId, raw: quote }
+        : null;
+    }
+
+    const slug = CollectionRegistry.getByContract(nft.collection)?.slug;
+    if (!slug) {
       return null;
     }
+    const offer = await OpenseaClient.getBestNftOffer(slug, nft.tokenId);
+    const bid = offer && OpenseaClient.toTopBid(offer);
+    if (!bid) {
+      return null;
+    }
+    return {
+      platform,
+      amount: BigInt(bid.amount),
+      reference: bid.orderHash,
+      raw: offer,
+    };
+  }
+
+  async accept(nft, quote, record) {
+    await ApprovalManager.requireApproval(nft.collection, quote.platform);
+    return this.acceptWithRetries(nft, quote.platform, record);
+  }
+
+  // Every attempt takes a fresh quote on the routed venue, refuses it below
+  // the collection's minimum price, prepares the sale (Blur: quote -> accept,
+  // Opensea: fulfillment data) and sends it once it simulates cleanly. A bid
+  // pulled between quote and send fails the simulation and the next attempt
+  // re-quotes. A sent acceptance is only retried once it has reverted or the
+  // transaction manager has cancelled or dropped it. Attempts back off
+  // exponentially up to acceptance.maxAttempts and each one is kept on the
+  // acceptance record.
+  async acceptWithRetries(nft, platform, record) {
+    const { maxAttempts, retryDelay, maxRetryDelay } = config.acceptance;
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      let quote = null;
+      try {
+        quote = await this.requote(platform, nft);
+        const data = await this.prepareAcceptance(platform, nft, quote);
+        const receipt = await this.submitAcceptance(platform, data);
+        await AcceptanceStorage.recordAttempt(record, {
+          attempt,
+          startedAt,
+          reference: quote.reference,
+          amount: quote.amount.toString(),
+          outcome: 'accepted',
+          txHash: receipt.hash,
+        });
+        return receipt;
+      } catch (error) {
+        lastError = error;
+        await AcceptanceStorage.recordAttempt(record, {
+          attempt,
+          startedAt,
+          reference: quote?.reference ?? null,
+          amount: quote?.amount.toString() ?? null,
+          outcome: 'failed',
+          error: error.message,
+        });
+        logger.warn(
+          `${platform} acceptance attempt ${attempt}/${maxAttempts} for ${nft.collection} #${nft.tokenId} failed: ${error.message}`,
+        );
+        if (error.unresolved) {
+          throw error;
+        }
+        if (attempt < maxAttempts) {
+          await sleep(Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay));
+        }
+      }
+    }
+    throw new Error(
+      `${platform} acceptance failed after ${maxAttempts} attempts: ${lastError.message}`,
+    );
+  }
+
+  async requote(platform, nft) {
+    const quote = await this.getQuote(platform, nft);
+    if (!quote) {
+      throw new Error(`No ${platform} bid for the token`);
+    }
+    const minimum = this.getMinAcceptAmount(nft.collection);
+    if (quote.amount < minimum) {
+      throw new Error(
+        `${platform} quote ${formatEth(quote.amount)} is below the ${formatEth(minimum)} minimum`,
+      );
+    }
+    return quote;
+  }
+
+  async prepareAcceptance(platform, nft, quote) {
+    if (platform === 'blur') {
+      return this.prepareBlurAcceptance(nft, quote);
+    }
+    return this.prepareOpenseaAcceptance(nft, quote);
+  }
+
+  getMinAcceptAmount(collection) {
+    const entry = CollectionRegistry.getByContract(collection);
+    return parseEth(
+      entry?.minAcceptAmount ?? config.acceptance.minAcceptAmount,
+    );
   }
 
   async submitAcceptance(platform, data) {
+    if (PaperExecutor.isEnabled()) {
+      return PaperExecutor.submitAcceptance(platform, data);
+    }
+
     try {
       const tx = await this.createTransaction(platform, data);
-      const receipt = await tx.wait();
+      const receipt = await this.waitForOutcome(tx);
+      if (receipt?.status !== 1) {
+        throw new Error(`Acceptance transaction reverted: ${tx.hash}`);
+      }
+      GasOracle.recordGasUsed(platform, receipt.gasUsed);
 
       logger.info(`Transaction successful: ${receipt.hash}`);
       return receipt;
@@ -124,38 +438,169 @@ class NftAcceptor extends EventEmitter {
     }
   }
 
+  // The receipt of whichever send of the acceptance was mined. Past
+  // acceptance.confirmationTimeout the transaction manager is still speeding
+  // it up or cancelling it, so nothing else is sent for the token until it
+  // has settled; a transaction it gave up as stuck may still be mined and
+  // ends the acceptance.
+  async waitForOutcome(tx) {
+    const timeout = config.acceptance.confirmationTimeout;
+    const receipt = await waitForReceipt(tx, timeout);
+    if (receipt) {
+      return receipt;
+    }
+    logger.warn(
+      `Acceptance ${tx.hash} not confirmed within ${timeout}ms, waiting for its outcome`,
+    );
+    try {
+      return await tx.wait();
+    } catch (error) {
+      if (TransactionManager.get(tx.id)?.status === 'stuck') {
+        error.unresolved = true;
+      }
+      throw error;
+    }
+  }
+
+  // Sends the prepared transaction through the transaction manager with gas
+  // oracle fees, privately through the relay when acceptance.submission is
+  // 'private'
   async createTransaction(platform, data) {
-    // TODO: Implement transaction creation
-    // This should create the appropriate transaction based on the platform
-    // and the prepared acceptance data
-    return null;
+    if (!data?.transaction) {
+      throw new Error(`No ${platform} transaction to send`);
+    }
+    await this.simulate(platform, data);
+    const gas = await this.estimateGas(platform, data);
+    const relay =
+      config.acceptance.submission === 'private' ? PrivateRelay : null;
+    return TransactionManager.send(
+      { ...data.transaction, ...gas },
+      {
+        label: `${platform} acceptance of ${data.collection} #${data.tokenId}`,
+        relay,
+      },
+    );
+  }
+
+  // Runs the sale against the pending block; it is not sent when it would
+  // revert or pay less than the bid's proceeds after fees
+  async simulate(platform, data) {
+    const { gross, fees } = await BidManager.calculateSaleProceeds(
+      platform,
+      data.amount,
+      data.collection,
+    );
+    const result = await AcceptanceSimulator.simulate(
+      platform,
+      data.transaction,
+      { from: this.wallet.address, expectedProceeds: gross - fees },
+    );
+    if (!result.ok) {
+      throw new Error(
+        `${platform} acceptance simulation failed: ${result.reason}`,
+      );
+    }
+    return result;
   }
 
-  // Placeholder methods to be implemented
-  async prepareBlurAcceptance(nft) {
-    // TODO: Implement Blur acceptance preparation
-    return null;
+  // Accepts a quote with the collection's fee rate. In paper mode the quote
+  // is all there is to accept.
+  async prepareBlurAcceptance(nft, quote) {
+    const data = {
+      platform: 'blur',
+      collection: nft.collection,
+      tokenId: nft.tokenId,
+      quoteId: quote.reference,
+      amount: quote.amount,
+    };
+    if (PaperExecutor.isEnabled()) {
+      return data;
+    }
+
+    const entry = CollectionRegistry.getByContract(nft.collection);
+    const result = await BlurClient.acceptBid({
+      contractAddress: nft.collection,
+      tokenId: nft.tokenId,
+      quoteId: quote.reference,
+      feeRate: entry?.feeRate ?? config.fees.blur.royaltyBps,
+    });
+    if (!result?.success) {
+      throw new Error(
+        `Blur did not accept quote ${quote.reference}: ${JSON.stringify(result)}`,
+      );
+    }
+    const txnData = result.txnData;
+    if (!txnData?.to || !txnData?.data) {
+      throw new Error(
+        `Blur accept returned no transaction for ${quote.reference}`,
+      );
+    }
+    return {
+      ...data,
+      transaction: {
+        to: txnData.to,
+        data: txnData.data,
+        value: BigInt(txnData.value?.hex ?? txnData.value ?? 0),
+      },
+    };
   }
 
-  async prepareOpenseaAcceptance(nft) {
-    // TODO: Implement Opensea acceptance preparation
-    return null;
+  // Opensea describes the Seaport call that sells our token into the offer
+  // (fulfillAdvancedOrder, or matchAdvancedOrders for criteria offers); it
+  // is encoded here and only ever sent to the Seaport contract
+  async prepareOpenseaAcceptance(nft, quote) {
+    const data = {
+      platform: 'opensea',
+      collection: nft.collection,
+      tokenId: nft.tokenId,
+      orderHash: quote.reference,
+      amount: quote.amount,
+    };
+    if (PaperExecutor.isEnabled()) {
+      return data;
+    }
+
+    const fulfillment = await OpenseaClient.getFulfillmentData({
+      orderHash: quote.reference,
+      fulfiller: this.wallet.address,
+      contract: nft.collection,
+      tokenId: nft.tokenId,
+    });
+    const transaction = fulfillment?.transaction;
+    if (!transaction) {
+      throw new Error(`No fulfillment transaction for ${quote.reference}`);
+    }
+    if (
+      transaction.to?.toLowerCase() !== config.contracts.seaport.toLowerCase()
+    ) {
+      throw new Error(
+        `Fulfillment for ${quote.reference} targets ${transaction.to}, not Seaport`,
+      );
+    }
+    return {
+      ...data,
+      transaction: {
+        to: transaction.to,
+        data: encodeFulfillment(transaction),
+        value: BigInt(transaction.value ?? 0),
+      },
+    };
   }
 
-  // Gas estimation
+  // Gas estimation: limit from measured acceptances on the platform (or the
+  // node's estimate when we have the transaction), fees from the gas oracle
   async estimateGas(platform, data) {
     try {
-      // TODO: Implement actual gas estimation
-      // This should use the current network conditions
-      return {
-        gasLimit: 300000,
-        maxFeePerGas: await this.provider
-          .getFeeData()
-          .then((fee) => fee.maxFeePerGas),
-        maxPriorityFeePerGas: await this.provider
-          .getFeeData()
-          .then((fee) => fee.maxPriorityFeePerGas),
-      };
+      const fees = await GasOracle.getTransactionFees();
+      let gasLimit = GasOracle.getGasLimit(platform);
+      if (data?.transaction) {
+        const estimate = await this.provider.estimateGas({
+          ...data.transaction,
+          from: this.wallet.address,
+        });
+        gasLimit = estimate > gasLimit ? estimate : gasLimit;
+      }
+      return { gasLimit, ...fees };
     } catch (error) {
       logger.error('Error estimating gas:', error);
       throw error;
@@ -163,4 +608,25 @@ class NftAcceptor extends EventEmitter {
   }
 }
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Null when the transaction has not settled within the timeout
+const waitForReceipt = (tx, timeout) => {
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), timeout);
+  });
+  return Promise.race([tx.wait(), timedOut]).finally(() => clearTimeout(timer));
+};
+
+// Quotes are kept with the acceptance record, amounts as wei strings
+const toRecordedQuote = (quote) => ({
+  platform: quote.platform,
+  reference: quote.reference,
+  gross: quote.gross.toString(),
+  fees: quote.fees.toString(),
+  gas: quote.gas.toString(),
+  net: quote.net.toString(),
+});
+
 export default new NftAcceptor();
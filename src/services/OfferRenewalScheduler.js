@@ -0,0 +1,89 @@
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import BidManager from './BidManager.js';
+import BidStorage from './BidStorage.js';
+import CollectionRegistry from './CollectionRegistry.js';
+
+// Opensea offers only live for a few minutes. Shortly before each one
+// expires (renewalLeadSeconds), a replacement starting at its expiration is
+// signed and posted through BidManager.renewOpenseaBid.
+class OfferRenewalScheduler {
+  constructor() {
+    this.running = false;
+    this.timers = new Map(); // nonce -> renewal timer
+
+    this.onBidSubmitted = (bid) => this.schedule(bid);
+    this.onBidCancelled = ({ nonce }) => this.clear(nonce);
+    this.onRenewalFailed = ({ bid }) => this.retry(bid);
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    BidManager.on('bidSubmitted', this.onBidSubmitted);
+    BidManager.on('bidCancelled', this.onBidCancelled);
+    BidManager.on('renewalFailed', this.onRenewalFailed);
+
+    // Offers placed before a restart still need renewing
+    for (const collection of CollectionRegistry.getContracts()) {
+      for (const bid of BidStorage.getLiveBids(collection, 'opensea')) {
+        this.schedule(bid);
+      }
+    }
+    logger.info('Opensea offer renewal scheduler started');
+  }
+
+  stop() {
+    this.running = false;
+    BidManager.off('bidSubmitted', this.onBidSubmitted);
+    BidManager.off('bidCancelled', this.onBidCancelled);
+    BidManager.off('renewalFailed', this.onRenewalFailed);
+    for (const nonce of this.timers.keys()) {
+      this.clear(nonce);
+    }
+  }
+
+  schedule(bid, delay = null) {
+    if (!this.running || bid.platform !== 'opensea') {
+      return;
+    }
+    const { renewalLeadSeconds } = CollectionRegistry.getBidSettings(
+      bid.collection,
+      'opensea',
+    );
+    const renewAt = (bid.expirationTime - renewalLeadSeconds) * 1000;
+    const wait = delay ?? Math.max(renewAt - Date.now(), 0);
+
+    this.clear(bid.nonce);
+    const timer = setTimeout(() => {
+      this.timers.delete(bid.nonce);
+      BidManager.renewOpenseaBid(bid).catch((error) =>
+        logger.error(`Error renewing Opensea bid ${bid.nonce}:`, error),
+      );
+    }, wait);
+    timer.unref();
+    this.timers.set(bid.nonce, timer);
+  }
+
+  // Try again while the offer being replaced is still live
+  retry(bid) {
+    const delay = config.transaction.retryDelay;
+    if (Date.now() + delay < bid.expirationTime * 1000) {
+      logger.info(`Retrying renewal of Opensea bid ${bid.nonce} in ${delay}ms`);
+      this.schedule(bid, delay);
+    } else {
+      logger.warn(
+        `Opensea bid ${bid.nonce} for ${bid.collection} expires before renewal could be retried`,
+      );
+    }
+  }
+
+  clear(nonce) {
+    clearTimeout(this.timers.get(nonce));
+    this.timers.delete(nonce);
+  }
+}
+
+export default new OfferRenewalScheduler();
@@ -0,0 +1,280 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+
+// Seaport item types that represent the NFT side of a criteria offer
+const CRITERIA_ITEM_TYPES = [4, 5]; // ERC721_WITH_CRITERIA, ERC1155_WITH_CRITERIA
+
+class OpenseaClient {
+  constructor() {
+    this.api = axios.create({
+      baseURL: config.apiUrls.opensea,
+      headers: {
+        accept: 'application/json',
+        'Content-Type': 'application/json',
+        'x-api-key': config.apiKeys.opensea,
+      },
+    });
+  }
+
+  async getCollection(slug) {
+    try {
+      const { data } = await this.api.get(`/collections/${slug}`);
+      return data;
+    } catch (error) {
+      logger.error(
+        `Error fetching Opensea collection ${slug}:`,
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  // Collection statistics; `total.floor_price` is the floor in ETH
+  async getCollectionStats(slug) {
+    try {
+      const { data } = await this.api.get(`/collections/${slug}/stats`);
+      return data;
+    } catch (error) {
+      logger.error(
+        `Error fetching Opensea stats for ${slug}:`,
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  async getCollectionOffers(slug) {
+    const { offers } = await this.getCollectionOffersPage(slug);
+    return offers;
+  }
+
+  // Every collection offer for a slug, following the `next` cursor
+  async getAllCollectionOffers(slug) {
+    const offers = [];
+    let cursor = null;
+    do {
+      const page = await this.getCollectionOffersPage(slug, cursor);
+      offers.push(...page.offers);
+      cursor = page.next;
+    } while (cursor);
+    return offers;
+  }
+
+  async getCollectionOffersPage(slug, cursor = null) {
+    try {
+      const { data } = await this.api.get(`/offers/collection/${slug}`, {
+        params: { limit: 100, next: cursor ?? undefined },
+      });
+      return {
+        offers: Array.isArray(data.offers) ? data.offers : [],
+        next: data.next || null,
+      };
+    } catch (error) {
+      logger.error(
+        `Error fetching Opensea offers for ${slug}:`,
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  // Best offer a specific token can be sold into, collection and trait
+  // offers included
+  async getBestNftOffer(slug, tokenId) {
+    try {
+      const { data } = await this.api.get(
+        `/offers/collection/${slug}/nfts/${tokenId}/best`,
+      );
+      return data?.order_hash ? data : null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(
+        `Error fetching best Opensea offer for ${slug} #${tokenId}:`,
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  // The Seaport transaction that sells our token into an offer
+  async getFulfillmentData({ orderHash, fulfiller, contract, tokenId }) {
+    try {
+      const { data } = await this.api.post('/offers/fulfillment_data', {
+        offer: {
+          hash: orderHash,
+          chain: config.network.chainName,
+          protocol_address: config.contracts.seaport,
+        },
+        fulfiller: { address: fulfiller },
+        consideration: { asset_contract_address: contract, token_id: tokenId },
+      });
+      return data.fulfillment_data;
+    } catch (error) {
+      logger.error(
+        `Error fetching Opensea fulfillment data for ${orderHash}:`,
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  // Order parameters Opensea wants in a collection offer: the criteria
+  // consideration item and, with offer protection, the signed zone
+  async buildOffer({ slug, offerer, quantity, offerProtection = true }) {
+    try {
+      const { data } = await this.api.post('/offers/build', {
+        offerer,
+        quantity,
+        criteria: { collection: { slug } },
+        protocol_address: config.contracts.seaport,
+        offer_protection_enabled: offerProtection,
+      });
+      return data;
+    } catch (error) {
+      logger.error(
+        `Error building Opensea offer for ${slug}:`,
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  async postOffer({ parameters, signature, criteria }) {
+    try {
+      const { data } = await this.api.post('/offers', {
+        protocol_data: { parameters, signature },
+        criteria,
+        protocol_address: config.contracts.seaport,
+      });
+      return data;
+    } catch (error) {
+      logger.error(
+        'Error posting Opensea offer:',
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  async postListing({ parameters, signature }) {
+    try {
+      const { data } = await this.api.post(
+        `/orders/${config.network.chainName}/seaport/listings`,
+        {
+          parameters,
+          signature,
+          protocol_address: config.contracts.seaport,
+        },
+      );
+      return data;
+    } catch (error) {
+      logger.error(
+        'Error posting Opensea listing:',
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  // Order as Opensea sees it, including its status (ACTIVE, INACTIVE,
+  // FULFILLED, EXPIRED or CANCELLED)
+  async getOrder(orderHash) {
+    try {
+      const { data } = await this.api.get(
+        `/orders/chain/${config.network.chainName}/protocol/${config.contracts.seaport}/${orderHash}`,
+      );
+      return data.order ?? null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(
+        `Error fetching Opensea order ${orderHash}:`,
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  // Off-chain cancel, only possible for orders behind Opensea's signed zone
+  async cancelOrder(orderHash, offererSignature) {
+    try {
+      const { data } = await this.api.post(
+        `/orders/chain/${config.network.chainName}/protocol/${config.contracts.seaport}/${orderHash}/cancel`,
+        { offerer_signature: offererSignature },
+      );
+      return data;
+    } catch (error) {
+      logger.error(
+        `Error cancelling Opensea order ${orderHash}:`,
+        error.response?.data || error,
+      );
+      throw error;
+    }
+  }
+
+  // Highest collection offer for a slug, normalized to a per-NFT top bid
+  async getTopCollectionOffer(slug) {
+    const offers = await this.getCollectionOffers(slug);
+    const bids = offers.map((offer) => this.toTopBid(offer)).filter(Boolean);
+    if (bids.length === 0) {
+      return null;
+    }
+    return bids.reduce((best, bid) =>
+      BigInt(bid.amount) > BigInt(best.amount) ? bid : best,
+    );
+  }
+
+  // Amounts are per-NFT wei as a decimal string, so they survive JSON
+  toTopBid(offer) {
+    const parameters = offer.protocol_data?.parameters;
+    const criteriaItem = parameters?.consideration?.find((item) =>
+      CRITERIA_ITEM_TYPES.includes(item.itemType),
+    );
+    const quantity = criteriaItem ? BigInt(criteriaItem.startAmount) : 1n;
+    if (!offer.price?.value || quantity === 0n) {
+      return null;
+    }
+
+    const perNftWei = BigInt(offer.price.value) / quantity;
+    return {
+      amount: perNftWei.toString(),
+      orderHash: offer.order_hash,
+      maker: parameters?.offerer?.toLowerCase() || null,
+      quantity: Number(quantity),
+      expiresAt: parameters?.endTime ? Number(parameters.endTime) : null,
+      updatedAt: Date.now(),
+    };
+  }
+
+  // One of our own orders as the fields of a stored bid, or null when it is
+  // not a collection offer
+  toOwnOffer(order) {
+    const parameters = order.protocol_data?.parameters;
+    const criteriaItem = parameters?.consideration?.find((item) =>
+      CRITERIA_ITEM_TYPES.includes(item.itemType),
+    );
+    // Order listings carry current_price, collection offers price.value
+    const price = order.current_price ?? order.price?.value;
+    if (!criteriaItem || !price) {
+      return null;
+    }
+
+    const quantity = BigInt(criteriaItem.startAmount);
+    return {
+      collection: criteriaItem.token.toLowerCase(),
+      amount: BigInt(price) / quantity,
+      quantity: Number(order.remaining_quantity ?? quantity),
+      orderHash: order.order_hash,
+      orderComponents: parameters,
+      signature: order.protocol_data.signature ?? null,
+      startTime: Number(parameters.startTime),
+      expirationTime: Number(parameters.endTime),
+    };
+  }
+}
+
+export default new OpenseaClient();
@@ -0,0 +1,399 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import RedisService from './RedisService.js';
+import OpenseaClient from './OpenseaClient.js';
+import CollectionRegistry from './CollectionRegistry.js';
+
+// Follows the Opensea Stream API (Phoenix channels over websocket) and keeps
+// the top collection offer per registered collection in Redis. Top offers are
+// seeded from REST on every (re)connect so nothing missed during a gap survives.
+//
+// Events:
+//   connected       -> { url }
+//   reconnected     -> { url }
+//   disconnected    -> { code, reason }
+//   topBidUpdated   -> { collection, platform: 'opensea', bid, previous }
+//   itemBidReceived -> { collection, tokenId, platform: 'opensea', bid }
+//   marketEvent     -> { collection, platform: 'opensea', type, tokenId, price }
+class OpenseaStreamFeed extends EventEmitter {
+  constructor() {
+    super();
+    this.ws = null;
+    this.running = false;
+    this.hasConnected = false;
+    this.ref = 0;
+    this.heartbeatTimer = null;
+    this.pendingHeartbeat = null;
+    this.reconnectTimer = null;
+    this.expiryTimers = new Map(); // collection -> reseed timer
+    this.topBids = new Map(); // collection -> current top bid
+
+    this.onCollectionAdded = (collection) => {
+      this.join(collection.slug);
+      this.seedCollection(collection);
+    };
+    this.onCollectionRemoved = (collection) => {
+      this.leave(collection.slug);
+      this.clearExpiryTimer(collection.contract);
+      this.topBids.delete(collection.contract);
+    };
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    CollectionRegistry.on('collectionAdded', this.onCollectionAdded);
+    CollectionRegistry.on('collectionRemoved', this.onCollectionRemoved);
+    this.connect();
+  }
+
+  stop() {
+    this.running = false;
+    CollectionRegistry.off('collectionAdded', this.onCollectionAdded);
+    CollectionRegistry.off('collectionRemoved', this.onCollectionRemoved);
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+    for (const collection of this.expiryTimers.keys()) {
+      this.clearExpiryTimer(collection);
+    }
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.terminate();
+      this.ws = null;
+    }
+    this.hasConnected = false;
+  }
+
+  connect() {
+    const { url } = config.feeds.opensea;
+    const endpoint = `${url}?token=${config.apiKeys.opensea}`;
+    const ws = new WebSocket(endpoint);
+    this.ws = ws;
+
+    ws.on('open', async () => {
+      if (this.hasConnected) {
+        logger.info('Opensea stream reconnected');
+        this.emit('reconnected', { url });
+      } else {
+        logger.info('Opensea stream connected');
+        this.emit('connected', { url });
+      }
+      this.hasConnected = true;
+
+      this.startHeartbeat();
+      for (const collection of CollectionRegistry.getAll()) {
+        this.join(collection.slug);
+      }
+      await this.seedAll();
+    });
+
+    ws.on('message', (raw) => this.handleMessage(raw));
+
+    ws.on('error', (error) => {
+      logger.error('Opensea stream error:', error);
+    });
+
+    ws.on('close', (code, reason) => {
+      this.stopHeartbeat();
+      if (this.ws === ws) {
+        this.ws = null;
+      }
+      logger.warn(`Opensea stream disconnected (code=${code})`);
+      this.emit('disconnected', { code, reason: reason.toString() });
+
+      if (this.running) {
+        this.reconnectTimer = setTimeout(
+          () => this.connect(),
+          config.feeds.opensea.reconnectDelay,
+        );
+      }
+    });
+  }
+
+  send(topic, event, payload = {}) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return null;
+    }
+    const ref = String(++this.ref);
+    this.ws.send(JSON.stringify({ topic, event, payload, ref }));
+    return ref;
+  }
+
+  join(slug) {
+    if (this.send(`collection:${slug}`, 'phx_join')) {
+      logger.info(`Subscribed to Opensea stream for ${slug}`);
+    }
+  }
+
+  leave(slug) {
+    this.send(`collection:${slug}`, 'phx_leave');
+  }
+
+  // A heartbeat left unanswered for a full interval means the socket is dead
+  startHeartbeat() {
+    this.stopHeartbeat();
+    const beat = () => {
+      if (this.pendingHeartbeat) {
+        logger.warn('Opensea stream heartbeat timed out, reconnecting');
+        this.ws?.terminate();
+        return;
+      }
+      this.pendingHeartbeat = this.send('phoenix', 'heartbeat');
+    };
+    beat();
+    this.heartbeatTimer = setInterval(
+      beat,
+      config.feeds.opensea.heartbeatInterval,
+    );
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.pendingHeartbeat = null;
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      logger.warn(`Unparseable Opensea stream message: ${raw}`);
+      return;
+    }
+
+    if (message.event === 'phx_reply') {
+      if (message.ref === this.pendingHeartbeat) {
+        this.pendingHeartbeat = null;
+      } else if (message.payload?.status !== 'ok') {
+        logger.warn(
+          `Opensea stream ${message.topic} replied ${JSON.stringify(message.payload)}`,
+        );
+      }
+      return;
+    }
+
+    const payload = message.payload?.payload;
+    const slug = payload?.collection?.slug;
+    const collection = CollectionRegistry.getBySlug(slug);
+    if (!collection) {
+      return;
+    }
+
+    const handlers = {
+      collection_offer: () => this.handleCollectionOffer(collection, payload),
+      item_received_bid: () => this.handleItemBid(collection, payload),
+      order_invalidate: () => this.handleInvalidation(collection, payload),
+      item_listed: () => this.handleItemTrade(collection, 'listing', payload),
+      item_sold: () => this.handleItemTrade(collection, 'sale', payload),
+    };
+    const handler = handlers[message.event];
+    if (handler) {
+      handler().catch((error) =>
+        logger.error(`Error handling Opensea ${message.event}:`, error),
+      );
+    }
+  }
+
+  toBid(payload) {
+    const quantity = BigInt(payload.quantity || 1);
+    const perNftWei = BigInt(payload.base_price) / quantity;
+    const expiresAt = parseExpiration(payload.expiration_date);
+    return {
+      amount: perNftWei.toString(),
+      orderHash: payload.order_hash,
+      maker: payload.maker?.address?.toLowerCase() || null,
+      quantity: Number(quantity),
+      expiresAt,
+      updatedAt: Date.now(),
+    };
+  }
+
+  async handleCollectionOffer(collection, payload) {
+    const bid = this.toBid(payload);
+    if (isExpired(bid)) {
+      return;
+    }
+
+    const current = this.topBids.get(collection.contract);
+    if (
+      current &&
+      !isExpired(current) &&
+      current.orderHash !== bid.orderHash &&
+      BigInt(bid.amount) <= BigInt(current.amount)
+    ) {
+      return;
+    }
+    await this.storeTopBid(collection, bid);
+  }
+
+  async handleItemBid(collection, payload) {
+    const tokenId = payload.item?.nft_id?.split('/')[2];
+    if (!tokenId) {
+      return;
+    }
+
+    const bid = this.toBid(payload);
+    if (isExpired(bid)) {
+      return;
+    }
+
+    const current = await RedisService.getItemTopBid(
+      collection.contract,
+      tokenId,
+      'opensea',
+    );
+    if (
+      current &&
+      !isExpired(current) &&
+      BigInt(bid.amount) <= BigInt(current.amount)
+    ) {
+      return;
+    }
+
+    const ttl = bid.expiresAt
+      ? bid.expiresAt - Math.floor(Date.now() / 1000)
+      : null;
+    await RedisService.setItemTopBid(
+      collection.contract,
+      tokenId,
+      'opensea',
+      bid,
+      ttl,
+    );
+    this.emit('itemBidReceived', {
+      collection: collection.contract,
+      tokenId,
+      platform: 'opensea',
+      bid,
+    });
+  }
+
+  // Listings and sales in ETH or WETH are published per token so anything
+  // that needs to know where the collection actually trades can follow them
+  async handleItemTrade(collection, type, payload) {
+    const total = type === 'sale' ? payload.sale_price : payload.base_price;
+    if (!total || !PRICE_SYMBOLS.includes(payload.payment_token?.symbol)) {
+      return;
+    }
+
+    const event = {
+      collection: collection.contract,
+      platform: 'opensea',
+      type,
+      tokenId: payload.item?.nft_id?.split('/')[2] ?? null,
+      price: (BigInt(total) / BigInt(payload.quantity || 1)).toString(),
+      at: Date.now(),
+    };
+    await RedisService.publishMarketEvent(event);
+    this.emit('marketEvent', event);
+  }
+
+  // The stored top offer is gone, so the next best one has to come from REST
+  async handleInvalidation(collection, payload) {
+    const current = this.topBids.get(collection.contract);
+    if (current && current.orderHash === payload.order_hash) {
+      await this.seedCollection(collection);
+    }
+  }
+
+  async seedAll() {
+    await Promise.all(
+      CollectionRegistry.getAll().map((collection) =>
+        this.seedCollection(collection),
+      ),
+    );
+  }
+
+  async seedCollection(collection) {
+    try {
+      const bid = await OpenseaClient.getTopCollectionOffer(collection.slug);
+      await this.storeTopBid(collection, bid);
+    } catch (error) {
+      logger.error(
+        `Error seeding Opensea top offer for ${collection.slug}:`,
+        error,
+      );
+    }
+  }
+
+  async storeTopBid(collection, bid) {
+    const previous = this.topBids.get(collection.contract) || null;
+    if (
+      previous?.orderHash === bid?.orderHash &&
+      previous?.amount === bid?.amount
+    ) {
+      return;
+    }
+
+    if (bid) {
+      this.topBids.set(collection.contract, bid);
+    } else {
+      this.topBids.delete(collection.contract);
+    }
+    this.scheduleExpiryReseed(collection, bid);
+
+    await RedisService.setTopBid(collection.contract, 'opensea', bid);
+    this.emit('topBidUpdated', {
+      collection: collection.contract,
+      platform: 'opensea',
+      bid,
+      previous,
+    });
+  }
+
+  // When the top offer lapses the stream sends nothing, so re-seed on expiry.
+  // Expiries past the longest timer Node supports wait in several steps.
+  scheduleExpiryReseed(collection, bid) {
+    this.clearExpiryTimer(collection.contract);
+    if (!bid?.expiresAt) {
+      return;
+    }
+    const delay = Math.max(bid.expiresAt * 1000 - Date.now(), 0) + 1000;
+    const timer = setTimeout(
+      () => {
+        this.expiryTimers.delete(collection.contract);
+        if (delay > MAX_TIMER_DELAY) {
+          this.scheduleExpiryReseed(collection, bid);
+        } else {
+          this.seedCollection(collection);
+        }
+      },
+      Math.min(delay, MAX_TIMER_DELAY),
+    );
+    timer.unref();
+    this.expiryTimers.set(collection.contract, timer);
+  }
+
+  clearExpiryTimer(collection) {
+    clearTimeout(this.expiryTimers.get(collection));
+    this.expiryTimers.delete(collection);
+  }
+}
+
+const PRICE_SYMBOLS = ['ETH', 'WETH'];
+// setTimeout fires at once for anything longer
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Stream payloads carry ISO dates, REST payloads unix seconds
+const parseExpiration = (value) => {
+  if (!value) {
+    return null;
+  }
+  const numeric = Number(value);
+  if (!Number.isNaN(numeric)) {
+    return numeric;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+};
+
+const isExpired = (bid) =>
+  !!bid.expiresAt && bid.expiresAt <= Math.floor(Date.now() / 1000);
+
+export default new OpenseaStreamFeed();
@@ -0,0 +1,269 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import BidStorage from './BidStorage.js';
+import FeeModel from './FeeModel.js';
+import GasOracle from './GasOracle.js';
+import RedisService from './RedisService.js';
+import CollectionRegistry from './CollectionRegistry.js';
+import { OPPOSITE_PLATFORM } from '../config/bidSettings.js';
+import { formatEth, formatPrice, parseEth } from '../utils/price.js';
+
+// Stands in for the marketplaces and the chain in paper trading mode. Bids,
+// cancellations and acceptances are recorded instead of sent. A paper bid is
+// filled only when a token of the collection is listed or sold at or under
+// it, since that seller would have taken our bid: we buy at our bid and
+// immediately sell into the opposite market's top bid after fees and gas.
+//
+// Events:
+//   action -> { type, at, ...details }
+//   fill   -> trade
+class PaperExecutor extends EventEmitter {
+  constructor() {
+    super();
+    this.running = false;
+    this.state = null;
+    // One event at a time, so a single listing never fills the same bid twice
+    this.pending = Promise.resolve();
+    this.onMarketEvent = (event) => {
+      this.pending = this.pending
+        .then(() => this.handleMarketEvent(event))
+        .catch((error) => logger.error('Error simulating paper fills:', error));
+    };
+  }
+
+  isEnabled() {
+    return config.paperTrading.enabled;
+  }
+
+  async start() {
+    if (this.running) {
+      return;
+    }
+    await this.loadState();
+    this.running = true;
+    await RedisService.subscribeToMarketEvents(this.onMarketEvent);
+    logger.info(
+      `Paper trading enabled, balance ${formatEth(this.state.balance)} ETH, P&L ${formatEth(this.state.realizedPnl)} ETH`,
+    );
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  async loadState() {
+    try {
+      const data = JSON.parse(
+        await fs.readFile(config.paperTrading.stateFile, 'utf-8'),
+      );
+      this.state = {
+        balance: BigInt(data.balance),
+        realizedPnl: BigInt(data.realizedPnl),
+        openBids: new Map(
+          data.openBids.map((bid) => [
+            bid.nonce,
+            { ...bid, amount: BigInt(bid.amount) },
+          ]),
+        ),
+        trades: data.trades,
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading paper trading state:', error);
+        throw error;
+      }
+      this.state = {
+        balance: parseEth(config.paperTrading.startingBalance),
+        realizedPnl: 0n,
+        openBids: new Map(),
+        trades: [],
+      };
+    }
+  }
+
+  async saveState() {
+    const data = {
+      balance: this.state.balance.toString(),
+      realizedPnl: this.state.realizedPnl.toString(),
+      openBids: [...this.state.openBids.values()].map((bid) => ({
+        ...bid,
+        amount: bid.amount.toString(),
+      })),
+      trades: this.state.trades,
+    };
+    const file = config.paperTrading.stateFile;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2));
+  }
+
+  // Every intended action is appended to the actions log
+  async record(type, details) {
+    const action = { type, at: Date.now(), ...details };
+    const file = config.paperTrading.actionsFile;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify(action)}\n`);
+    this.emit('action', action);
+    return action;
+  }
+
+  async submitBid(bid) {
+    if (!this.state) {
+      await this.loadState();
+    }
+    this.state.openBids.set(bid.nonce, {
+      nonce: bid.nonce,
+      collection: bid.collection,
+      platform: bid.platform,
+      amount: bid.amount,
+      remaining: bid.quantity,
+    });
+    await this.record('submitBid', {
+      platform: bid.platform,
+      collection: bid.collection,
+      nonce: bid.nonce,
+      price: formatPrice(bid.platform, bid.amount),
+      quantity: bid.quantity,
+      expirationTime: bid.expirationTime,
+    });
+    await this.saveState();
+    logger.info(
+      `[paper] ${bid.platform} bid for ${bid.collection} @ ${formatEth(bid.amount)} ETH`,
+    );
+  }
+
+  async cancelBid(platform, collection, nonce) {
+    if (!this.state) {
+      await this.loadState();
+    }
+    this.state.openBids.delete(nonce);
+    await this.record('cancelBid', { platform, collection, nonce });
+    await this.saveState();
+    logger.info(`[paper] Cancelled ${platform} bid for ${collection}`);
+    return true;
+  }
+
+  // Returns a receipt shaped like the one a mined acceptance would produce
+  async submitAcceptance(platform, data) {
+    const hash = ethers.hexlify(ethers.randomBytes(32));
+    await this.record('submitAcceptance', {
+      platform,
+      hash,
+      collection: data?.collection ?? null,
+      tokenId: data?.tokenId ?? null,
+    });
+    logger.info(`[paper] Accepted on ${platform}: ${hash}`);
+    return {
+      hash,
+      status: 1,
+      gasUsed: GasOracle.getExpectedGasUsed(platform),
+      paper: true,
+    };
+  }
+
+  // A listing or sale at or under our price fills the best of our paper bids
+  // on the collection: that seller would have taken it instead
+  async handleMarketEvent({ collection, platform, type, price }) {
+    if (!this.running || !price) {
+      return;
+    }
+    const askPrice = BigInt(price);
+    const [openBid] = [...this.state.openBids.values()]
+      .filter(
+        (candidate) =>
+          candidate.collection === collection && candidate.amount >= askPrice,
+      )
+      .sort((a, b) => (a.amount < b.amount ? 1 : a.amount > b.amount ? -1 : 0));
+    if (!openBid) {
+      return;
+    }
+
+    const sellPlatform = OPPOSITE_PLATFORM[openBid.platform];
+    const topBid = await RedisService.getTopBid(collection, sellPlatform);
+    if (!topBid?.amount) {
+      logger.info(
+        `[paper] ${platform} ${type} of ${collection} @ ${formatEth(askPrice)} ETH crossed our ${openBid.platform} bid, but there is no ${sellPlatform} bid to sell into`,
+      );
+      return;
+    }
+    await this.simulateFill(openBid, sellPlatform, BigInt(topBid.amount), {
+      platform,
+      type,
+      price: formatEth(askPrice),
+    });
+  }
+
+  async simulateFill(openBid, sellPlatform, sellPrice, trigger) {
+    const { collection, platform, amount, nonce } = openBid;
+    if (this.state.balance < amount) {
+      logger.warn(
+        `[paper] Skipping fill of ${platform} bid for ${collection}: balance ${formatEth(this.state.balance)} ETH`,
+      );
+      return;
+    }
+
+    const settings = CollectionRegistry.getBidSettings(
+      collection,
+      sellPlatform,
+    );
+    const fees = await FeeModel.getSaleFees(
+      sellPlatform,
+      collection,
+      sellPrice,
+    );
+    const gas =
+      GasOracle.estimateAcceptanceCost(sellPlatform) ??
+      parseEth(settings.gasCost);
+    const profit = sellPrice - fees.amount - gas - amount;
+
+    this.state.balance += profit;
+    this.state.realizedPnl += profit;
+    openBid.remaining -= 1;
+
+    const trade = {
+      collection,
+      buyPlatform: platform,
+      buyPrice: formatEth(amount),
+      sellPlatform,
+      sellPrice: formatEth(sellPrice),
+      fees: formatEth(fees.amount),
+      gas: formatEth(gas),
+      profit: formatEth(profit),
+      balance: formatEth(this.state.balance),
+      trigger,
+      at: Date.now(),
+    };
+    this.state.trades.push(trade);
+
+    if (openBid.remaining <= 0) {
+      this.state.openBids.delete(nonce);
+    }
+    const storedBid = BidStorage.getBids(collection, platform).find(
+      (bid) => bid.nonce === nonce,
+    );
+    if (storedBid?.canTransition('partially_filled')) {
+      await BidStorage.recordFill(storedBid, 1, { paper: true });
+    }
+
+    await this.record('fill', trade);
+    await this.saveState();
+    this.emit('fill', trade);
+    logger.info(
+      `[paper] Filled ${platform} bid for ${collection} @ ${trade.buyPrice}, sold on ${sellPlatform} @ ${trade.sellPrice}, profit ${trade.profit} ETH`,
+    );
+  }
+
+  getSummary() {
+    return {
+      balance: formatEth(this.state.balance),
+      realizedPnl: formatEth(this.state.realizedPnl),
+      trades: this.state.trades.length,
+      openBids: this.state.openBids.size,
+    };
+  }
+}
+
+export default new PaperExecutor();
@@ -0,0 +1,85 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+
+// Sends signed transactions to a private relay as single-transaction bundles
+// (Flashbots-style eth_sendBundle), so they never sit in the public mempool
+// where competing bidders can see them coming. A bundle targets one block, so
+// it is re-sent for every new block until the transaction is mined or
+// `relay.deadlineBlocks` blocks have passed.
+class PrivateRelay {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
+    this.api = axios.create({
+      baseURL: config.relay.url,
+      headers: { 'Content-Type': 'application/json' },
+    });
+    // Identifies us to the relay; it never holds funds
+    this.authSigner = config.relay.authKey
+      ? new ethers.Wallet(config.relay.authKey)
+      : ethers.Wallet.createRandom();
+    this.requestId = 0;
+  }
+
+  async sendBundle(signedTransactions, blockNumber) {
+    const body = JSON.stringify({
+      jsonrpc: '2.0',
+      id: ++this.requestId,
+      method: 'eth_sendBundle',
+      params: [
+        {
+          txs: signedTransactions,
+          blockNumber: ethers.toQuantity(blockNumber),
+        },
+      ],
+    });
+    const signature = await this.authSigner.signMessage(ethers.id(body));
+    try {
+      const { data } = await this.api.post('', body, {
+        headers: {
+          'X-Flashbots-Signature': `${this.authSigner.address}:${signature}`,
+        },
+      });
+      if (data.error) {
+        throw new Error(data.error.message);
+      }
+      return data.result;
+    } catch (error) {
+      logger.error(
+        `Relay rejected bundle for block ${blockNumber}:`,
+        error.response?.data || error.message,
+      );
+      throw error;
+    }
+  }
+
+  // Resolves true once the transaction `hash` is mined, false when the
+  // deadline passes first
+  async submit(signedTransaction, hash) {
+    const deadline =
+      (await this.provider.getBlockNumber()) + config.relay.deadlineBlocks;
+    let target = (await this.provider.getBlockNumber()) + 1;
+    while (target <= deadline) {
+      // A rejected bundle is logged; the next block gets a fresh one
+      await this.sendBundle([signedTransaction], target).catch(() => null);
+      await this.waitForBlock(target);
+      if (await this.provider.getTransactionReceipt(hash)) {
+        logger.info(`Relay bundle with ${hash} landed`);
+        return true;
+      }
+      target = (await this.provider.getBlockNumber()) + 1;
+    }
+    return false;
+  }
+
+  async waitForBlock(blockNumber) {
+    while ((await this.provider.getBlockNumber()) < blockNumber) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, config.relay.pollInterval),
+      );
+    }
+  }
+}
+
+export default new PrivateRelay();
@@ -43,6 +43,22 @@ class RedisService {
     return { blur: blurBid, opensea: openseaBid };
   }
 
+  // Token-level bid caching, expires with the underlying offer
+  async setItemTopBid(collection, tokenId, platform, bid, ttlSeconds = null) {
+    const key = `item_top_bid:${collection}:${tokenId}:${platform}`;
+    if (ttlSeconds) {
+      await this.client.set(key, JSON.stringify(bid), 'EX', ttlSeconds);
+    } else {
+      await this.client.set(key, JSON.stringify(bid));
+    }
+  }
+
+  async getItemTopBid(collection, tokenId, platform) {
+    const key = `item_top_bid:${collection}:${tokenId}:${platform}`;
+    const data = await this.client.get(key);
+    return data ? JSON.parse(data) : null;
+  }
+
   // Floor price tracking
   async setFloorPrice(collection, platform, price) {
     const key = `floor_price:${collection}:${platform}`;
@@ -59,6 +75,11 @@ class RedisService {
     return price ? parseFloat(price) : null;
   }
 
+  // Listings and sales seen on the marketplaces, one token each
+  async publishMarketEvent(event) {
+    await this.publisher.publish('market_event', JSON.stringify(event));
+  }
+
   // System state management
   async setCollectionState(collection, state) {
     const key = `collection_state:${collection}`;
@@ -101,6 +122,15 @@ class RedisService {
     });
   }
 
+  async subscribeToMarketEvents(callback) {
+    await this.subscriber.subscribe('market_event');
+    this.subscriber.on('message', (channel, message) => {
+      if (channel === 'market_event') {
+        callback(JSON.parse(message));
+      }
+    });
+  }
+
   // Cleanup
   async cleanup() {
     await this.client.quit();
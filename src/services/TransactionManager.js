@@ -0,0 +1,464 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
+import GasOracle from './GasOracle.js';
+
+const BPS = 10000n;
+const CANCEL_GAS_LIMIT = 21000n;
+// The smallest fee increase nodes accept for a replacement
+const MIN_REPLACEMENT_BUMP_BPS = 1000n;
+
+// Sends the wallet's transactions and sees each one through to a receipt.
+// Nonces are assigned here, one send at a time. Every block the pending
+// transactions are checked: after `transaction.speedUpBlocks` without a
+// receipt a transaction is replaced at the same nonce with fees bumped by
+// `transaction.feeBumpBps`, or cancelled by a zero-value transfer to
+// ourselves when it would now revert, has been sped up
+// `transaction.maxReplacements` times or is still pending
+// `transaction.maxPendingBlocks` after it was first sent. A replacement the
+// gas ceiling cuts short is sent at the ceiling as a cancel; once not even
+// that is possible the transaction is given up as stuck. Transactions the
+// node no longer knows are rebroadcast. Every send and outcome is kept in
+// the state file.
+//
+// Status: pending -> mined | reverted | cancelled | dropped | stuck, with
+// pending -> cancelling once a cancellation is sent
+//
+// Events:
+//   sent      -> record
+//   replaced  -> { record, kind, hash }  (kind: speed_up, rebroadcast, cancel)
+//   confirmed -> { record, receipt }
+//   failed    -> { record, error }
+class TransactionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
+    this.running = false;
+    this.nonce = null; // next nonce to use, read from the chain when null
+    this.records = new Map(); // id -> record
+    this.waiters = new Map(); // id -> { resolve, reject }
+    this.checking = false;
+    this.onBlock = (blockNumber) =>
+      this.checkPending(blockNumber).catch((error) =>
+        logger.error(
+          `Error checking pending transactions at ${blockNumber}:`,
+          error,
+        ),
+      );
+  }
+
+  #lock = Promise.resolve();
+
+  // Runs sends one after another so nonces are handed out in order
+  #exclusive(task) {
+    const run = this.#lock.then(task);
+    this.#lock = run.catch(() => {});
+    return run;
+  }
+
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    try {
+      await this.loadRecords();
+      await this.provider.on('block', this.onBlock);
+      logger.info(
+        `Transaction manager started, ${this.getPending().length} pending`,
+      );
+    } catch (error) {
+      this.running = false;
+      logger.error('Error starting transaction manager:', error);
+      throw error;
+    }
+  }
+
+  stop() {
+    this.running = false;
+    this.provider.off('block', this.onBlock);
+  }
+
+  async loadRecords() {
+    try {
+      const data = await fs.readFile(config.transaction.stateFile, 'utf-8');
+      for (const record of JSON.parse(data)) {
+        this.records.set(record.id, record);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async saveRecords() {
+    try {
+      await fs.mkdir(path.dirname(config.transaction.stateFile), {
+        recursive: true,
+      });
+      await fs.writeFile(
+        config.transaction.stateFile,
+        JSON.stringify([...this.records.values()], null, 2),
+      );
+    } catch (error) {
+      logger.error('Error saving transactions:', error);
+      throw error;
+    }
+  }
+
+  // Sends `request` (to, data, value, optional gasLimit and fees) at the
+  // wallet's next nonce. Resolves to a handle whose wait() resolves with the
+  // receipt of whichever send was mined, and rejects once the transaction is
+  // cancelled or dropped. With a `relay` the first send goes through it, and
+  // later sends wait until it has landed or fallen back to the mempool.
+  async send(request, { label = 'transaction', relay = null } = {}) {
+    await this.start();
+    return this.#exclusive(async () => {
+      const wallet = this.getWallet();
+      if (this.nonce === null) {
+        this.nonce = await this.provider.getTransactionCount(
+          wallet.address,
+          'pending',
+        );
+      }
+      let fees = {
+        maxFeePerGas: request.maxFeePerGas,
+        maxPriorityFeePerGas: request.maxPriorityFeePerGas,
+      };
+      if (!fees.maxFeePerGas) {
+        fees = await GasOracle.getTransactionFees();
+      }
+
+      const transaction = {
+        to: request.to,
+        data: request.data,
+        value: request.value ?? 0n,
+        gasLimit: request.gasLimit,
+        ...fees,
+        nonce: this.nonce,
+      };
+      let tx;
+      try {
+        tx = relay
+          ? await this.sendPrivately(transaction, relay, label)
+          : await wallet.sendTransaction(transaction);
+      } catch (error) {
+        // Something else may have used the nonce; read it again next time
+        this.nonce = null;
+        logger.error(`Error sending ${label}:`, error);
+        throw error;
+      }
+      this.nonce += 1;
+
+      const now = Date.now();
+      const record = {
+        id: tx.hash,
+        label,
+        nonce: tx.nonce,
+        status: 'pending',
+        request: {
+          to: tx.to,
+          data: tx.data,
+          value: tx.value.toString(),
+          gasLimit: tx.gasLimit.toString(),
+        },
+        sends: [toSend('original', tx, await this.provider.getBlockNumber())],
+        receipt: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      this.records.set(record.id, record);
+      await this.saveRecords();
+      logger.info(`${label} sent: ${tx.hash} (nonce ${tx.nonce})`);
+      this.emit('sent', record);
+      return this.toHandle(record);
+    });
+  }
+
+  // Signs the transaction and hands it to the relay; if the relay has not
+  // got it mined by its deadline, the same transaction goes to the mempool
+  async sendPrivately(transaction, relay, label) {
+    const wallet = this.getWallet();
+    const signed = await wallet.signTransaction(
+      await wallet.populateTransaction(transaction),
+    );
+    const tx = ethers.Transaction.from(signed);
+    if (await relay.submit(signed, tx.hash)) {
+      return tx;
+    }
+    if (!(await this.provider.getTransactionReceipt(tx.hash))) {
+      logger.warn(`Relay did not include ${label}, sending it publicly`);
+      await this.provider.broadcastTransaction(signed);
+    }
+    return tx;
+  }
+
+  toHandle(record) {
+    const settled = new Promise((resolve, reject) =>
+      this.waiters.set(record.id, { resolve, reject }),
+    );
+    // Nobody may be waiting yet when it fails
+    settled.catch(() => {});
+    return {
+      id: record.id,
+      hash: record.id,
+      nonce: record.nonce,
+      wait: () => settled,
+    };
+  }
+
+  getPending() {
+    return [...this.records.values()]
+      .filter((record) => ['pending', 'cancelling'].includes(record.status))
+      .sort((a, b) => a.nonce - b.nonce);
+  }
+
+  async checkPending(blockNumber) {
+    if (this.checking) {
+      return;
+    }
+    this.checking = true;
+    try {
+      const pending = this.getPending();
+      if (pending.length === 0) {
+        return;
+      }
+      const minedNonce = await this.provider.getTransactionCount(
+        this.getWallet().address,
+        'latest',
+      );
+      for (const record of pending) {
+        try {
+          await this.checkRecord(record, blockNumber, minedNonce);
+        } catch (error) {
+          logger.error(`Error checking transaction ${record.id}:`, error);
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async checkRecord(record, blockNumber, minedNonce) {
+    for (const send of [...record.sends].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(send.hash);
+      if (receipt) {
+        return this.settle(record, send, receipt);
+      }
+    }
+    if (minedNonce > record.nonce) {
+      return this.fail(
+        record,
+        'dropped',
+        `Nonce ${record.nonce} was used by another transaction`,
+      );
+    }
+
+    const last = record.sends.at(-1);
+    if (blockNumber - last.blockNumber < config.transaction.speedUpBlocks) {
+      return null;
+    }
+    const pendingBlocks = blockNumber - record.sends[0].blockNumber;
+    if (
+      record.status === 'cancelling' ||
+      pendingBlocks >= config.transaction.maxPendingBlocks ||
+      (await this.wouldRevert(record))
+    ) {
+      return this.replace(record, 'cancel', blockNumber);
+    }
+    if (!(await this.isKnown(record))) {
+      logger.warn(`${record.label} ${last.hash} was dropped, rebroadcasting`);
+      return this.replace(record, 'rebroadcast', blockNumber);
+    }
+    const speedUps = record.sends.filter(
+      (send) => send.kind === 'speed_up',
+    ).length;
+    if (speedUps >= config.transaction.maxReplacements) {
+      return this.replace(record, 'cancel', blockNumber);
+    }
+    return this.replace(record, 'speed_up', blockNumber);
+  }
+
+  // The opportunity is gone once the transaction would revert if sent now.
+  // Any other failure of the call (a timeout, rate limit or network error)
+  // says nothing about the transaction, so it is rethrown and the record is
+  // checked again next block.
+  async wouldRevert(record) {
+    try {
+      await this.provider.call({
+        ...fromStoredRequest(record.request),
+        from: this.getWallet().address,
+      });
+      return false;
+    } catch (error) {
+      if (
+        ethers.isError(error, 'CALL_EXCEPTION') ||
+        ethers.isHexString(error?.data)
+      ) {
+        return true;
+      }
+      throw error;
+    }
+  }
+
+  async isKnown(record) {
+    for (const send of record.sends) {
+      if (await this.provider.getTransaction(send.hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Sends a replacement at the record's nonce: the same transaction with
+  // higher fees, or a zero-value transfer to ourselves that cancels it.
+  // Nothing can outbid a send at the gas ceiling, so that one is a cancel.
+  async replace(record, kind, blockNumber) {
+    const fees = await this.getReplacementFees(record.sends.at(-1));
+    if (!fees) {
+      return this.fail(
+        record,
+        'stuck',
+        `${record.label} cannot be replaced within the gas ceiling and may still be mined`,
+      );
+    }
+    if (fees.capped) {
+      kind = 'cancel';
+    }
+
+    const wallet = this.getWallet();
+    let request = fromStoredRequest(record.request);
+    if (kind === 'cancel') {
+      request = {
+        to: wallet.address,
+        value: 0n,
+        data: '0x',
+        gasLimit: CANCEL_GAS_LIMIT,
+      };
+    }
+    const tx = await wallet.sendTransaction({
+      ...request,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      nonce: record.nonce,
+    });
+
+    record.sends.push(toSend(kind, tx, blockNumber));
+    if (kind === 'cancel') {
+      record.status = 'cancelling';
+    }
+    record.updatedAt = Date.now();
+    await this.saveRecords();
+    logger.info(`${record.label} ${record.id}: ${kind} sent as ${tx.hash}`);
+    this.emit('replaced', { record, kind, hash: tx.hash });
+    return tx;
+  }
+
+  // Previous fees bumped by feeBumpBps, or the current fees when they are
+  // higher. A bump crossing the gas ceiling is held at the ceiling (`capped`)
+  // while that still outbids the last send; null once it does not.
+  async getReplacementFees(last) {
+    const bump = (fee) =>
+      (BigInt(fee) * (BPS + BigInt(config.transaction.feeBumpBps))) / BPS;
+    const current = await GasOracle.getTransactionFees().catch(() => null);
+    const maxFeePerGas = max(
+      bump(last.maxFeePerGas),
+      current?.maxFeePerGas ?? 0n,
+    );
+    const maxPriorityFeePerGas = max(
+      bump(last.maxPriorityFeePerGas),
+      current?.maxPriorityFeePerGas ?? 0n,
+    );
+    const ceiling = GasOracle.getCeiling();
+    if (maxFeePerGas <= ceiling) {
+      return { maxFeePerGas, maxPriorityFeePerGas, capped: false };
+    }
+
+    const minimum = (fee) =>
+      (BigInt(fee) * (BPS + MIN_REPLACEMENT_BUMP_BPS)) / BPS;
+    const capped = {
+      maxFeePerGas: ceiling,
+      maxPriorityFeePerGas: min(maxPriorityFeePerGas, ceiling),
+      capped: true,
+    };
+    if (
+      capped.maxFeePerGas < minimum(last.maxFeePerGas) ||
+      capped.maxPriorityFeePerGas < minimum(last.maxPriorityFeePerGas)
+    ) {
+      return null;
+    }
+    return capped;
+  }
+
+  async settle(record, send, receipt) {
+    record.receipt = {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      status: receipt.status,
+    };
+    if (send.kind === 'cancel') {
+      return this.fail(record, 'cancelled', `${record.label} was cancelled`);
+    }
+
+    record.status = receipt.status === 1 ? 'mined' : 'reverted';
+    record.updatedAt = Date.now();
+    await this.saveRecords();
+    logger.info(`${record.label} ${record.status}: ${receipt.hash}`);
+    this.emit('confirmed', { record, receipt });
+    this.waiters.get(record.id)?.resolve(receipt);
+    this.waiters.delete(record.id);
+    return receipt;
+  }
+
+  async fail(record, status, message) {
+    const error = new Error(`${message} (${record.id})`);
+    record.status = status;
+    record.error = message;
+    record.updatedAt = Date.now();
+    await this.saveRecords();
+    logger.warn(error.message);
+    this.emit('failed', { record, error });
+    this.waiters.get(record.id)?.reject(error);
+    this.waiters.delete(record.id);
+    return null;
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  getWallet() {
+    if (!this.wallet) {
+      this.wallet = new ethers.Wallet(config.wallet.privateKey, this.provider);
+    }
+    return this.wallet;
+  }
+}
+
+const max = (a, b) => (a > b ? a : b);
+const min = (a, b) => (a < b ? a : b);
+
+// Sends are kept with their fees as decimal strings
+const toSend = (kind, tx, blockNumber) => ({
+  kind,
+  hash: tx.hash,
+  maxFeePerGas: tx.maxFeePerGas.toString(),
+  maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+  blockNumber,
+  sentAt: Date.now(),
+});
+
+const fromStoredRequest = (request) => ({
+  to: request.to,
+  data: request.data,
+  value: BigInt(request.value),
+  gasLimit: BigInt(request.gasLimit),
+});
+
+export default new TransactionManager();
@@ -0,0 +1,13 @@
+// Blur's format endpoints return the typed data to sign with BigNumber
+// fields as { hex }; they are signed as decimal strings
+export const signBlurData = (wallet, signData) => {
+  const normalized = {};
+  for (const [k, v] of Object.entries(signData.value)) {
+    if (v && typeof v === 'object' && typeof v.hex === 'string') {
+      normalized[k] = BigInt(v.hex).toString();
+    } else {
+      normalized[k] = v;
+    }
+  }
+  return wallet.signTypedData(signData.domain, signData.types, normalized);
+};
@@ -0,0 +1,90 @@
+import { ethers } from 'ethers';
+
+// All bid math is done on bigint wei. Amounts are only turned into decimal
+// strings at API boundaries (and in logs) with the helpers below.
+
+const BPS = 10000n;
+
+// Smallest price step each marketplace accepts
+export const TICK_SIZES = {
+  blur: ethers.parseEther('0.01'), // 0.01 BETH
+  opensea: ethers.parseEther('0.00001'),
+};
+
+// Decimals each marketplace expects in a formatted price
+const PRICE_DECIMALS = {
+  blur: 2,
+  opensea: 5,
+};
+
+// Parse a decimal ETH amount ('0.005', 0.005) into wei
+export const parseEth = (value) => ethers.parseEther(String(value).trim());
+
+// Normalize stored amounts into wei: bigints and integer strings are wei
+// already, decimals with a point and plain numbers are ETH (legacy records)
+export const toWei = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number' || String(value).includes('.')) {
+    return parseEth(value);
+  }
+  return BigInt(value);
+};
+
+// Decimal ETH string, e.g. 470000000000000000n -> '0.47'
+export const formatEth = (wei) => {
+  const text = ethers.formatEther(wei);
+  return text.endsWith('.0') ? text.slice(0, -2) : text;
+};
+
+// Fixed-decimal price string in the marketplace's tick precision
+export const formatPrice = (platform, wei) => {
+  const decimals = PRICE_DECIMALS[platform];
+  const ticked = floorToTick(platform, wei);
+  const [whole, fraction = ''] = ethers.formatEther(ticked).split('.');
+  return `${whole}.${fraction.padEnd(decimals, '0').slice(0, decimals)}`;
+};
+
+// Round down to the marketplace tick; non-positive amounts become 0
+export const floorToTick = (platform, wei) => {
+  if (wei <= 0n) {
+    return 0n;
+  }
+  const tick = TICK_SIZES[platform];
+  return (wei / tick) * tick;
+};
+
+// Round up to the marketplace tick
+export const ceilToTick = (platform, wei) => {
+  if (wei <= 0n) {
+    return 0n;
+  }
+  const tick = TICK_SIZES[platform];
+  return ((wei + tick - 1n) / tick) * tick;
+};
+
+// Share of `wei` in basis points, rounded up so fees are never understated
+export const applyBps = (wei, bps) => {
+  const numerator = wei * BigInt(bps);
+  return (numerator + BPS - 1n) / BPS;
+};
+
+export const minWei = (...values) =>
+  values.reduce((min, value) => (value < min ? value : min));
+
+export const maxWei = (...values) =>
+  values.reduce((max, value) => (value > max ? value : max));
+
+// config.bid.<platform> settings with every amount parsed into wei
+export const parseBidSettings = (settings) => ({
+  ...settings,
+  minBidWei: parseEth(settings.minBidAmount),
+  maxBidWei: parseEth(settings.maxBidAmount),
+  marginWei: parseEth(settings.bidDeduction),
+  outbidWei: settings.outbidAmount ? parseEth(settings.outbidAmount) : 0n,
+  gasCostWei: parseEth(settings.gasCost),
+});
@@ -0,0 +1,252 @@
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { applyBps } from './price.js';
+
+const OFFER_ITEM =
+  '(uint8 itemType, address token, uint256 identifierOrCriteria, uint256 startAmount, uint256 endAmount)';
+const CONSIDERATION_ITEM =
+  '(uint8 itemType, address token, uint256 identifierOrCriteria, uint256 startAmount, uint256 endAmount, address recipient)';
+const ORDER_COMPONENTS = `(address offerer, address zone, ${OFFER_ITEM}[] offer, ${CONSIDERATION_ITEM}[] consideration, uint8 orderType, uint256 startTime, uint256 endTime, bytes32 zoneHash, uint256 salt, bytes32 conduitKey, uint256 counter)`;
+
+const ORDER_PARAMETERS = `(address offerer, address zone, ${OFFER_ITEM}[] offer, ${CONSIDERATION_ITEM}[] consideration, uint8 orderType, uint256 startTime, uint256 endTime, bytes32 zoneHash, uint256 salt, bytes32 conduitKey, uint256 totalOriginalConsiderationItems)`;
+const ADVANCED_ORDER = `(${ORDER_PARAMETERS} parameters, uint120 numerator, uint120 denominator, bytes signature, bytes extraData)`;
+const CRITERIA_RESOLVER =
+  '(uint256 orderIndex, uint8 side, uint256 index, uint256 identifier, bytes32[] criteriaProof)';
+const FULFILLMENT_COMPONENT = '(uint256 orderIndex, uint256 itemIndex)';
+const FULFILLMENT = `(${FULFILLMENT_COMPONENT}[] offerComponents, ${FULFILLMENT_COMPONENT}[] considerationComponents)`;
+const EXECUTION =
+  '((uint8 itemType, address token, uint256 identifier, uint256 amount, address recipient) item, address offerer, bytes32 conduitKey)';
+
+const SEAPORT_ABI = [
+  'function getCounter(address offerer) view returns (uint256 counter)',
+  `function cancel(${ORDER_COMPONENTS}[] orders) returns (bool cancelled)`,
+  'function incrementCounter() returns (uint256 newCounter)',
+  'function getOrderStatus(bytes32 orderHash) view returns (bool isValidated, bool isCancelled, uint256 totalFilled, uint256 totalSize)',
+  `function fulfillAdvancedOrder(${ADVANCED_ORDER} advancedOrder, ${CRITERIA_RESOLVER}[] criteriaResolvers, bytes32 fulfillerConduitKey, address recipient) payable returns (bool fulfilled)`,
+  `function matchAdvancedOrders(${ADVANCED_ORDER}[] orders, ${CRITERIA_RESOLVER}[] criteriaResolvers, ${FULFILLMENT}[] fulfillments, address recipient) payable returns (${EXECUTION}[] executions)`,
+];
+
+const SEAPORT_INTERFACE = new ethers.Interface(SEAPORT_ABI);
+
+// Seaport calls Opensea may hand us to accept an offer
+const FULFILLMENT_FUNCTIONS = ['fulfillAdvancedOrder', 'matchAdvancedOrders'];
+
+export const ITEM_TYPE = {
+  NATIVE: 0,
+  ERC20: 1,
+  ERC721: 2,
+  ERC1155: 3,
+  ERC721_WITH_CRITERIA: 4,
+  ERC1155_WITH_CRITERIA: 5,
+};
+
+export const ORDER_TYPE = {
+  FULL_OPEN: 0,
+  PARTIAL_OPEN: 1,
+  FULL_RESTRICTED: 2,
+  PARTIAL_RESTRICTED: 3,
+};
+
+export const ORDER_COMPONENTS_TYPES = {
+  OrderComponents: [
+    { name: 'offerer', type: 'address' },
+    { name: 'zone', type: 'address' },
+    { name: 'offer', type: 'OfferItem[]' },
+    { name: 'consideration', type: 'ConsiderationItem[]' },
+    { name: 'orderType', type: 'uint8' },
+    { name: 'startTime', type: 'uint256' },
+    { name: 'endTime', type: 'uint256' },
+    { name: 'zoneHash', type: 'bytes32' },
+    { name: 'salt', type: 'uint256' },
+    { name: 'conduitKey', type: 'bytes32' },
+    { name: 'counter', type: 'uint256' },
+  ],
+  OfferItem: [
+    { name: 'itemType', type: 'uint8' },
+    { name: 'token', type: 'address' },
+    { name: 'identifierOrCriteria', type: 'uint256' },
+    { name: 'startAmount', type: 'uint256' },
+    { name: 'endAmount', type: 'uint256' },
+  ],
+  ConsiderationItem: [
+    { name: 'itemType', type: 'uint8' },
+    { name: 'token', type: 'address' },
+    { name: 'identifierOrCriteria', type: 'uint256' },
+    { name: 'startAmount', type: 'uint256' },
+    { name: 'endAmount', type: 'uint256' },
+    { name: 'recipient', type: 'address' },
+  ],
+};
+
+export const getSeaport = (runner) =>
+  new ethers.Contract(config.contracts.seaport, SEAPORT_ABI, runner);
+
+export const getSeaportDomain = () => ({
+  name: 'Seaport',
+  version: '1.6',
+  chainId: config.network.chainId,
+  verifyingContract: config.contracts.seaport,
+});
+
+// Every fee handed to an order builder is paid; one without a recipient
+// would be priced in but missing from the signed consideration
+const payableFees = (fees) =>
+  fees
+    .filter((fee) => fee.bps > 0)
+    .map((fee) => {
+      if (!fee.recipient) {
+        throw new Error(`No recipient for the ${fee.bps} bps ${fee.type} fee`);
+      }
+      return fee;
+    });
+
+const wethItem = (amount) => ({
+  itemType: ITEM_TYPE.ERC20,
+  token: config.contracts.weth,
+  identifierOrCriteria: '0',
+  startAmount: amount.toString(),
+  endAmount: amount.toString(),
+});
+
+// Order components for a WETH offer of `amount` wei per NFT on `quantity`
+// NFTs. `partialParameters` comes from Opensea's /offers/build and carries
+// the criteria consideration item plus the offer protection zone; each fee
+// is paid out of the offer as a WETH consideration item.
+export const buildOfferComponents = ({
+  offerer,
+  amount,
+  quantity,
+  partialParameters,
+  fees,
+  startTime,
+  endTime,
+  counter,
+}) => {
+  const total = amount * BigInt(quantity);
+  const consideration = [
+    ...partialParameters.consideration,
+    ...payableFees(fees).map((fee) => ({
+      ...wethItem(applyBps(total, fee.bps)),
+      recipient: fee.recipient,
+    })),
+  ];
+
+  const zone = partialParameters.zone || ethers.ZeroAddress;
+  const restricted = zone !== ethers.ZeroAddress;
+  const partial = quantity > 1;
+  const orderTypes = restricted
+    ? [ORDER_TYPE.FULL_RESTRICTED, ORDER_TYPE.PARTIAL_RESTRICTED]
+    : [ORDER_TYPE.FULL_OPEN, ORDER_TYPE.PARTIAL_OPEN];
+
+  return {
+    offerer,
+    zone,
+    offer: [wethItem(total)],
+    consideration,
+    orderType: orderTypes[partial ? 1 : 0],
+    startTime: String(startTime),
+    endTime: String(endTime),
+    zoneHash: partialParameters.zoneHash || ethers.ZeroHash,
+    salt: BigInt(ethers.hexlify(ethers.randomBytes(32))).toString(),
+    conduitKey: config.contracts.openseaConduitKey,
+    totalOriginalConsiderationItems: consideration.length,
+    counter: counter.toString(),
+  };
+};
+
+const nativeItem = (amount, recipient) => ({
+  itemType: ITEM_TYPE.NATIVE,
+  token: ethers.ZeroAddress,
+  identifierOrCriteria: '0',
+  startAmount: amount.toString(),
+  endAmount: amount.toString(),
+  recipient,
+});
+
+// Order components for listing one NFT at `amount` wei, paid in ETH. Each
+// fee comes out of the price as its own consideration item and the rest
+// goes to the offerer.
+export const buildListingComponents = ({
+  offerer,
+  collection,
+  tokenId,
+  standard,
+  amount,
+  fees,
+  startTime,
+  endTime,
+  counter,
+}) => {
+  const feeItems = payableFees(fees).map((fee) =>
+    nativeItem(applyBps(amount, fee.bps), fee.recipient),
+  );
+  const feeTotal = feeItems.reduce(
+    (total, item) => total + BigInt(item.startAmount),
+    0n,
+  );
+  const consideration = [nativeItem(amount - feeTotal, offerer), ...feeItems];
+
+  return {
+    offerer,
+    zone: ethers.ZeroAddress,
+    offer: [
+      {
+        itemType: standard === 'erc1155' ? ITEM_TYPE.ERC1155 : ITEM_TYPE.ERC721,
+        token: collection,
+        identifierOrCriteria: String(tokenId),
+        startAmount: '1',
+        endAmount: '1',
+      },
+    ],
+    consideration,
+    orderType: ORDER_TYPE.FULL_OPEN,
+    startTime: String(startTime),
+    endTime: String(endTime),
+    zoneHash: ethers.ZeroHash,
+    salt: BigInt(ethers.hexlify(ethers.randomBytes(32))).toString(),
+    conduitKey: config.contracts.openseaConduitKey,
+    totalOriginalConsiderationItems: consideration.length,
+    counter: counter.toString(),
+  };
+};
+
+// Seaport's order hash is the EIP-712 struct hash of the components
+export const getOrderHash = (components) =>
+  ethers.TypedDataEncoder.hashStruct(
+    'OrderComponents',
+    ORDER_COMPONENTS_TYPES,
+    components,
+  );
+
+// Opensea's off-chain cancellation proves the offerer with an OrderHash
+// signature under the Seaport domain
+export const signCancellation = (wallet, orderHash) =>
+  wallet.signTypedData(
+    getSeaportDomain(),
+    { OrderHash: [{ name: 'orderHash', type: 'bytes32' }] },
+    { orderHash },
+  );
+
+// Calldata for the Seaport call described by Opensea's fulfillment_data
+// transaction: `function` names the call, `input_data` holds its arguments
+// by parameter name
+export const encodeFulfillment = (transaction) => {
+  const name = transaction.function?.split('(')[0];
+  if (!FULFILLMENT_FUNCTIONS.includes(name)) {
+    throw new Error(`Unsupported Seaport fulfillment: ${transaction.function}`);
+  }
+  const fragment = SEAPORT_INTERFACE.getFunction(name);
+  const inputData = transaction.input_data || {};
+  return SEAPORT_INTERFACE.encodeFunctionData(
+    fragment,
+    fragment.inputs.map((input) => {
+      if (inputData[input.name] === undefined) {
+        throw new Error(`Fulfillment data is missing ${name}.${input.name}`);
+      }
+      return inputData[input.name];
+    }),
+  );
+};
+
+export const signOrderComponents = (wallet, components) =>
+  wallet.signTypedData(getSeaportDomain(), ORDER_COMPONENTS_TYPES, components);
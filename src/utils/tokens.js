@@ -0,0 +1,27 @@
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+];
+
+// Approvals are shared by ERC-721 and ERC-1155; ownerOf is ERC-721 only and
+// balanceOf(owner, id) ERC-1155 only
+const NFT_ABI = [
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function balanceOf(address owner, uint256 id) view returns (uint256)',
+];
+
+// Opensea offers are paid in WETH pulled through the Opensea conduit
+export const getWeth = (runner) =>
+  new ethers.Contract(config.contracts.weth, ERC20_ABI, runner);
+
+// Blur bids are backed by ETH deposited in the Blur pool
+export const getBlurPool = (runner) =>
+  new ethers.Contract(config.contracts.blurPool, ERC20_ABI, runner);
+
+export const getNftCollection = (address, runner) =>
+  new ethers.Contract(address, NFT_ABI, runner);
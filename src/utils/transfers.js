@@ -0,0 +1,58 @@
+import { ethers } from 'ethers';
+
+export const ERC721_TRANSFER = ethers.id('Transfer(address,address,uint256)');
+export const TRANSFER_SINGLE = ethers.id(
+  'TransferSingle(address,address,address,uint256,uint256)',
+);
+export const TRANSFER_BATCH = ethers.id(
+  'TransferBatch(address,address,address,uint256[],uint256[])',
+);
+const ERC1155_INTERFACE = new ethers.Interface([
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+]);
+
+// Topic filters for NFT transfers into (`to`) or out of (`from`) an address:
+// ERC-721 Transfer, and ERC-1155 TransferSingle/TransferBatch
+export const transferTopics = (address, direction) => {
+  const padded = ethers.zeroPadValue(address, 32);
+  if (direction === 'from') {
+    return [
+      [ERC721_TRANSFER, padded],
+      [[TRANSFER_SINGLE, TRANSFER_BATCH], null, padded],
+    ];
+  }
+  return [
+    [ERC721_TRANSFER, null, padded],
+    [[TRANSFER_SINGLE, TRANSFER_BATCH], null, null, padded],
+  ];
+};
+
+// NFTs moved by a transfer log: one for ERC-721, one per id for ERC-1155
+export const decodeTransfers = (log) => {
+  const collection = log.address.toLowerCase();
+  if (log.topics[0] === ERC721_TRANSFER) {
+    // ERC-20 Transfer has the same signature but does not index the amount
+    if (log.topics.length !== 4) {
+      return [];
+    }
+    const tokenId = BigInt(log.topics[3]).toString();
+    return [{ collection, tokenId, quantity: 1, standard: 'erc721' }];
+  }
+
+  const event = ERC1155_INTERFACE.parseLog(log);
+  if (!event) {
+    return [];
+  }
+  // Positional: `values` is shadowed by Result's own method
+  const [, , , idArg, valueArg] = event.args;
+  const single = event.name === 'TransferSingle';
+  const ids = single ? [idArg] : idArg;
+  const values = single ? [valueArg] : valueArg;
+  return ids.map((id, index) => ({
+    collection,
+    tokenId: id.toString(),
+    quantity: Number(values[index]),
+    standard: 'erc1155',
+  }));
+};
@@ -0,0 +1,243 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import { ethers } from 'ethers';
+
+// Hardhat's first account
+const WALLET_KEY =
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const wallet = new ethers.Wallet(WALLET_KEY);
+const COLLECTION = {
+  contract: '0x71d1e9741da1e25ffd377be56d133359492b9c3b',
+  slug: 'seed',
+};
+const SIGNED_ZONE = '0x000056F7000000EcE9003ca63978907a00FFD100';
+const OPENSEA_FEE = '0x0000a26b00c1F0DF003000390027140000fAa719';
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const SEAPORT = '0x0000000000000068F116a894984e2DB1123eB395';
+const COUNTER = 3n;
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.unstable_mockModule('../src/services/RedisService.js', () => ({
+  default: {},
+}));
+jest.unstable_mockModule('../src/services/CollectionRegistry.js', () => ({
+  default: {
+    getByContract: (contract) =>
+      contract === COLLECTION.contract ? COLLECTION : null,
+    getBidSettings: () => ({ expirationSeconds: 900, offerProtection: true }),
+  },
+}));
+
+const ORDER_FIELDS = [
+  'offerer',
+  'zone',
+  'offer',
+  'consideration',
+  'orderType',
+  'startTime',
+  'endTime',
+  'zoneHash',
+  'salt',
+  'conduitKey',
+  'counter',
+  'totalOriginalConsiderationItems',
+];
+
+// What Opensea would reject: the problems with a posted offer, if any
+const offerProblems = ({ protocol_data: data, criteria, protocol_address }) => {
+  const problems = [];
+  for (const field of ORDER_FIELDS) {
+    if (data?.parameters?.[field] === undefined) {
+      problems.push(`parameters.${field} is required`);
+    }
+  }
+  if (!ethers.isHexString(data?.signature, 65)) {
+    problems.push('signature must be 65 bytes');
+  }
+  if (!criteria?.collection?.slug) {
+    problems.push('criteria.collection.slug is required');
+  }
+  if (protocol_address !== SEAPORT) {
+    problems.push('protocol_address must be Seaport 1.6');
+  }
+  return problems;
+};
+
+// A stand-in Opensea API that records every request
+let server;
+let requests;
+let orderHash;
+let getOrderHash;
+let BidManager;
+let NftBid;
+
+const routes = {
+  'GET /collections/seed': () => [
+    200,
+    {
+      fees: [
+        { fee: 1, recipient: OPENSEA_FEE, required: true },
+        { fee: 5, recipient: CREATOR, required: true },
+      ],
+    },
+  ],
+  'POST /offers/build': (body) => {
+    if (!body.criteria?.collection?.slug || !body.offerer) {
+      return [400, { errors: ['criteria and offerer are required'] }];
+    }
+    return [
+      200,
+      {
+        partialParameters: {
+          consideration: [
+            {
+              itemType: 4,
+              token: COLLECTION.contract,
+              identifierOrCriteria: '0',
+              startAmount: String(body.quantity),
+              endAmount: String(body.quantity),
+              recipient: body.offerer,
+            },
+          ],
+          zone: SIGNED_ZONE,
+          zoneHash: ethers.ZeroHash,
+        },
+        criteria: body.criteria,
+      },
+    ];
+  },
+  'POST /offers': (body) => {
+    const errors = offerProblems(body);
+    if (errors.length > 0) {
+      return [400, { errors }];
+    }
+    orderHash = getOrderHash(body.protocol_data.parameters);
+    return [200, { order_hash: orderHash, chain: 'ethereum' }];
+  },
+};
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      const route = `${req.method} ${req.url.replace(/^\/api\/v2/, '')}`;
+      requests.push({ route, body, headers: req.headers });
+      const [status, data] = routes[route]?.(body) ?? [404, {}];
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.OPENSEA_API_URL = `http://127.0.0.1:${server.address().port}/api/v2`;
+  process.env.OPENSEA_API_KEY = 'test-key';
+  process.env.PRIVATE_KEY = WALLET_KEY;
+  process.env.WALLET_ADDRESS = wallet.address;
+  ({ getOrderHash } = await import('../src/utils/seaport.js'));
+  ({ default: NftBid } = await import('../src/models/NftBid.js'));
+  ({ default: BidManager } = await import('../src/services/BidManager.js'));
+
+  // Seaport's getCounter, the only chain read an offer needs
+  BidManager.provider = {
+    call: async () =>
+      ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [COUNTER]),
+  };
+});
+
+beforeEach(() => {
+  requests = [];
+  orderHash = null;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test('builds, signs and posts a collection offer', async () => {
+  const bid = new NftBid({
+    collection: COLLECTION.contract,
+    platform: 'opensea',
+    amount: ethers.parseEther('0.5'),
+    quantity: 2,
+  });
+  await BidManager.submitOpenseaBid(bid);
+
+  expect(requests.map(({ route }) => route)).toEqual([
+    'POST /offers/build',
+    'GET /collections/seed',
+    'POST /offers',
+  ]);
+  expect(requests.map(({ headers }) => headers['x-api-key'])).toEqual([
+    'test-key',
+    'test-key',
+    'test-key',
+  ]);
+
+  const [build, , post] = requests;
+  expect(build.body).toEqual({
+    offerer: wallet.address,
+    quantity: 2,
+    criteria: { collection: { slug: 'seed' } },
+    protocol_address: SEAPORT,
+    offer_protection_enabled: true,
+  });
+
+  const { parameters, signature } = post.body.protocol_data;
+  expect(post.body.criteria).toEqual({ collection: { slug: 'seed' } });
+  expect(parameters).toMatchObject({
+    offerer: wallet.address,
+    zone: SIGNED_ZONE,
+    startTime: String(bid.startTime),
+    endTime: String(bid.expirationTime),
+    counter: COUNTER.toString(),
+    totalOriginalConsiderationItems: 3,
+  });
+  expect(parameters.offer).toEqual([
+    expect.objectContaining({ startAmount: '1000000000000000000' }),
+  ]);
+  expect(
+    parameters.consideration.map((item) => [item.recipient, item.startAmount]),
+  ).toEqual([
+    [wallet.address, '2'],
+    [OPENSEA_FEE, '10000000000000000'],
+    [CREATOR, '50000000000000000'],
+  ]);
+  // Signed over the hash Opensea reported, under the Seaport 1.6 domain
+  const digest = ethers.keccak256(
+    ethers.concat([
+      '0x1901',
+      ethers.TypedDataEncoder.hashDomain({
+        name: 'Seaport',
+        version: '1.6',
+        chainId: 1,
+        verifyingContract: SEAPORT,
+      }),
+      orderHash,
+    ]),
+  );
+  expect(ethers.recoverAddress(digest, signature)).toBe(wallet.address);
+
+  expect(bid.orderHash).toBe(orderHash);
+  expect(bid.signature).toBe(signature);
+  expect(bid.orderComponents).toEqual(parameters);
+});
+
+test('fails the bid when Opensea rejects the offer', async () => {
+  const build = routes['POST /offers/build'];
+  routes['POST /offers/build'] = () => [400, { errors: ['Invalid slug'] }];
+  const bid = new NftBid({
+    collection: COLLECTION.contract,
+    platform: 'opensea',
+    amount: ethers.parseEther('0.5'),
+  });
+
+  await expect(BidManager.submitOpenseaBid(bid)).rejects.toThrow('400');
+  expect(requests.map(({ route }) => route)).toEqual(['POST /offers/build']);
+  expect(bid.orderHash).toBeNull();
+  routes['POST /offers/build'] = build;
+});
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import { once } from 'events';
+import { Server } from 'socket.io';
+import { ethers } from 'ethers';
+
+const COLLECTION = '0x71d1e9741da1e25ffd377be56d133359492b9c3b';
+const setTopBid = jest.fn(async () => {});
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.unstable_mockModule('../src/services/RedisService.js', () => ({
+  default: { setTopBid },
+}));
+jest.unstable_mockModule('../src/services/CollectionRegistry.js', () => ({
+  default: { has: (contract) => contract === COLLECTION },
+}));
+
+// A stand-in for the nfttools socket.io server
+let httpServer;
+let io;
+let BlurBidFeed;
+
+beforeAll(async () => {
+  httpServer = http.createServer();
+  io = new Server(httpServer);
+  await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+  process.env.BLUR_FEED_URL = `http://127.0.0.1:${httpServer.address().port}`;
+  ({ default: BlurBidFeed } = await import('../src/services/BlurBidFeed.js'));
+});
+
+afterAll(async () => {
+  BlurBidFeed.stop();
+  io.close();
+  await new Promise((resolve) => httpServer.close(resolve));
+});
+
+const connect = async () => {
+  const connected = once(io, 'connection');
+  BlurBidFeed.start();
+  const [socket] = await connected;
+  await once(BlurBidFeed, 'connected');
+  return socket;
+};
+
+test('stores changed bid levels once and skips repeats', async () => {
+  const socket = await connect();
+  const level = {
+    contractAddress: ethers.getAddress(COLLECTION), // checksummed
+    bestPrice: '1.23',
+    totalValue: '12.3',
+  };
+
+  const updates = [];
+  BlurBidFeed.on('topBidUpdated', (update) => updates.push(update));
+  socket.emit('collection_bidLevels', JSON.stringify(level));
+  socket.emit('collection_bidLevels', level);
+  socket.emit('collection_bidLevels', {
+    contractAddress: '0x1111111111111111111111111111111111111111',
+    bestPrice: '9',
+  });
+  socket.emit('collection_bidLevels', { ...level, bestPrice: '1.24' });
+  while (updates.length < 2) {
+    await once(BlurBidFeed, 'topBidUpdated');
+  }
+
+  expect(setTopBid).toHaveBeenCalledTimes(2);
+  expect(
+    setTopBid.mock.calls.map(([collection, platform, bid]) => [
+      collection,
+      platform,
+      bid.amount,
+    ]),
+  ).toEqual([
+    [COLLECTION, 'blur', '1230000000000000000'],
+    [COLLECTION, 'blur', '1240000000000000000'],
+  ]);
+  expect(updates[1]).toMatchObject({
+    collection: COLLECTION,
+    platform: 'blur',
+  });
+});
+
+test('reports the server dropping the connection', async () => {
+  const [socket] = await io.fetchSockets();
+  const disconnected = once(BlurBidFeed, 'disconnected');
+  socket.disconnect(true);
+  const [{ reason }] = await disconnected;
+  expect(reason).toBe('io server disconnect');
+});
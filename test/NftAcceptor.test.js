@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ganache from 'ganache';
+import { ethers } from 'ethers';
+
+// Hardhat's first two accounts: ours, and one that plays the other side
+const WALLET_KEY =
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const OTHER_KEY =
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const ORDER_HASH =
+  '0x6b2e5c8e42a9d64b1b3c8f6f7d33fd1c7e0e04df4f1ad3fc2c4f11a37f0ad4b1';
+
+const readFixture = (name) =>
+  JSON.parse(
+    fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8'),
+  );
+const MockSeaport = readFixture('MockSeaport.json');
+const { transaction: FULFILLMENT } = readFixture(
+  'opensea-fulfillment.json',
+).fulfillAdvancedOrder;
+
+const getFulfillmentData = jest.fn();
+const calculateSaleProceeds = jest.fn(async () => ({
+  gross: ethers.parseEther('1'),
+  fees: ethers.parseEther('0.01'),
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+jest.unstable_mockModule('../src/services/RedisService.js', () => ({
+  default: {},
+}));
+jest.unstable_mockModule('../src/services/OpenseaClient.js', () => ({
+  default: { getFulfillmentData },
+}));
+jest.unstable_mockModule('../src/services/BidManager.js', () => ({
+  default: { calculateSaleProceeds },
+}));
+
+// A local chain mining a block every 100ms, with a mock Seaport deployed
+let server;
+let chain;
+let seaport;
+let stateDir;
+let NftAcceptor;
+let TransactionManager;
+let GasOracle;
+let AcceptanceSimulator;
+
+beforeAll(async () => {
+  server = ganache.server({
+    chain: { chainId: 1 },
+    miner: { blockTime: 0.1 },
+    wallet: {
+      accounts: [WALLET_KEY, OTHER_KEY].map((secretKey) => ({
+        secretKey,
+        balance: ethers.toQuantity(ethers.parseEther('100')),
+      })),
+    },
+    logging: { quiet: true },
+  });
+  await server.listen(0, '127.0.0.1');
+  const url = `http://127.0.0.1:${server.address().port}`;
+  chain = new ethers.JsonRpcProvider(url, 1, {
+    staticNetwork: true,
+    pollingInterval: 50,
+  });
+
+  const other = new ethers.Wallet(OTHER_KEY, chain);
+  const deployed = await new ethers.ContractFactory(
+    MockSeaport.abi,
+    MockSeaport.bytecode,
+    other,
+  ).deploy();
+  await deployed.waitForDeployment();
+  seaport = deployed;
+
+  stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arbitra-'));
+  process.env.RPC_URL = url;
+  process.env.PRIVATE_KEY = WALLET_KEY;
+  process.env.WALLET_ADDRESS = new ethers.Wallet(WALLET_KEY).address;
+  process.env.SEAPORT_ADDRESS = await seaport.getAddress();
+  process.env.TRANSACTIONS_FILE = path.join(stateDir, 'transactions.json');
+  ({ default: NftAcceptor } = await import('../src/services/NftAcceptor.js'));
+  ({ default: TransactionManager } = await import(
+    '../src/services/TransactionManager.js'
+  ));
+  ({ default: GasOracle } = await import('../src/services/GasOracle.js'));
+  ({ default: AcceptanceSimulator } = await import(
+    '../src/services/AcceptanceSimulator.js'
+  ));
+  for (const service of [NftAcceptor, TransactionManager, GasOracle]) {
+    service.provider.pollingInterval = 50;
+  }
+});
+
+afterAll(async () => {
+  TransactionManager.stop();
+  for (const service of [
+    NftAcceptor,
+    TransactionManager,
+    GasOracle,
+    AcceptanceSimulator,
+  ]) {
+    service.provider.destroy();
+  }
+  chain.destroy();
+  await server.close();
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+// Opensea's fulfillment data, pointed at the mock Seaport
+beforeEach(async () => {
+  getFulfillmentData.mockResolvedValue({
+    transaction: { ...FULFILLMENT, to: await seaport.getAddress() },
+  });
+});
+
+const nft = {
+  collection: '0x71d1e9741da1e25ffd377be56d133359492b9c3b',
+  tokenId: '7',
+  quantity: 1,
+};
+const quote = { reference: ORDER_HASH, amount: ethers.parseEther('1') };
+
+test('fulfills the offer through Seaport at the gas oracle fees', async () => {
+  const data = await NftAcceptor.prepareOpenseaAcceptance(nft, quote);
+  expect(getFulfillmentData).toHaveBeenCalledWith({
+    orderHash: ORDER_HASH,
+    fulfiller: NftAcceptor.wallet.address,
+    contract: nft.collection,
+    tokenId: nft.tokenId,
+  });
+
+  const receipt = await NftAcceptor.submitAcceptance('opensea', data);
+  expect(receipt.status).toBe(1);
+  expect(TransactionManager.get(receipt.hash).status).toBe('mined');
+
+  // The encoded fulfillment reached Seaport from our wallet
+  const [fulfilled] = receipt.logs.map((log) =>
+    seaport.interface.parseLog(log),
+  );
+  expect(fulfilled.name).toBe('Fulfilled');
+  expect(fulfilled.args.fulfiller).toBe(NftAcceptor.wallet.address);
+  expect(fulfilled.args.data).toBe(data.transaction.data);
+
+  const sent = await chain.getTransaction(receipt.hash);
+  const fees = await GasOracle.getTransactionFees();
+  expect(sent.maxFeePerGas).toBe(fees.maxFeePerGas);
+  expect(sent.maxPriorityFeePerGas).toBe(fees.maxPriorityFeePerGas);
+  // The configured Opensea limit, above the node's estimate, and the gas
+  // used is measured for the next one
+  expect(sent.gasLimit).toBe(300000n);
+  expect(GasOracle.gasUsed.opensea).toEqual([receipt.gasUsed]);
+});
+
+test('sends nothing when the preflight call reverts', async () => {
+  const cancel = await seaport.cancelOrder(ORDER_HASH);
+  await cancel.wait();
+
+  const { address } = NftAcceptor.wallet;
+  const nonce = await chain.getTransactionCount(address, 'pending');
+  const records = TransactionManager.records.size;
+  const data = await NftAcceptor.prepareOpenseaAcceptance(nft, quote);
+
+  await expect(NftAcceptor.submitAcceptance('opensea', data)).rejects.toThrow(
+    `opensea acceptance simulation failed: OrderIsCancelled(${ORDER_HASH})`,
+  );
+  expect(await chain.getTransactionCount(address, 'pending')).toBe(nonce);
+  expect(TransactionManager.records.size).toBe(records);
+});
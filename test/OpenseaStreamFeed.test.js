@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import { EventEmitter, once } from 'events';
+import { WebSocketServer } from 'ws';
+
+const COLLECTION = {
+  contract: '0x71d1e9741da1e25ffd377be56d133359492b9c3b',
+  slug: 'seed',
+};
+const registry = Object.assign(new EventEmitter(), {
+  getAll: () => [COLLECTION],
+  getBySlug: (slug) => (slug === COLLECTION.slug ? COLLECTION : null),
+});
+const setTopBid = jest.fn(async () => {});
+const getTopCollectionOffer = jest.fn();
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.unstable_mockModule('../src/services/RedisService.js', () => ({
+  default: { setTopBid },
+}));
+jest.unstable_mockModule('../src/services/OpenseaClient.js', () => ({
+  default: { getTopCollectionOffer },
+}));
+jest.unstable_mockModule('../src/services/CollectionRegistry.js', () => ({
+  default: registry,
+}));
+
+const offer = (amount, orderHash) => ({
+  amount,
+  orderHash,
+  maker: null,
+  quantity: 1,
+  expiresAt: null,
+  updatedAt: Date.now(),
+});
+
+// A stand-in Phoenix endpoint that records every message and answers
+// heartbeats while `answerHeartbeats` is set
+let server;
+let messages;
+let answerHeartbeats;
+let OpenseaStreamFeed;
+
+beforeAll(async () => {
+  server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await once(server, 'listening');
+  server.on('connection', (socket) => {
+    socket.on('message', (raw) => {
+      const message = JSON.parse(raw);
+      messages.push(message);
+      if (message.event === 'heartbeat' && !answerHeartbeats) {
+        return;
+      }
+      socket.send(
+        JSON.stringify({
+          topic: message.topic,
+          event: 'phx_reply',
+          ref: message.ref,
+          payload: { status: 'ok', response: {} },
+        }),
+      );
+    });
+  });
+  process.env.OPENSEA_STREAM_URL = `ws://127.0.0.1:${server.address().port}`;
+  process.env.OPENSEA_STREAM_HEARTBEAT = '100';
+  process.env.OPENSEA_STREAM_RECONNECT_DELAY = '20';
+  ({ default: OpenseaStreamFeed } = await import(
+    '../src/services/OpenseaStreamFeed.js'
+  ));
+});
+
+beforeEach(() => {
+  messages = [];
+  answerHeartbeats = true;
+  setTopBid.mockClear();
+  getTopCollectionOffer.mockReset();
+  OpenseaStreamFeed.topBids.clear();
+});
+
+afterEach(() => {
+  OpenseaStreamFeed.stop();
+  OpenseaStreamFeed.removeAllListeners();
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const joins = () => messages.filter((message) => message.event === 'phx_join');
+
+// Messages reach the server on their own schedule
+const waitFor = async (check) => {
+  while (!check()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test('joins every collection and seeds its top offer on connect', async () => {
+  getTopCollectionOffer.mockResolvedValue(offer('500', '0xaa'));
+  OpenseaStreamFeed.start();
+  await once(OpenseaStreamFeed, 'topBidUpdated');
+  await waitFor(() => joins().length > 0);
+
+  expect(joins().map((message) => message.topic)).toEqual(['collection:seed']);
+  expect(getTopCollectionOffer).toHaveBeenCalledWith('seed');
+  expect(setTopBid).toHaveBeenCalledWith(
+    COLLECTION.contract,
+    'opensea',
+    expect.objectContaining({ amount: '500', orderHash: '0xaa' }),
+  );
+});
+
+test('reconnects on a missed heartbeat, rejoins and reseeds', async () => {
+  getTopCollectionOffer
+    .mockResolvedValueOnce(offer('500', '0xaa'))
+    .mockResolvedValue(offer('600', '0xbb'));
+  const events = [];
+  for (const event of ['disconnected', 'reconnected', 'topBidUpdated']) {
+    OpenseaStreamFeed.on(event, (details) => events.push([event, details]));
+  }
+  OpenseaStreamFeed.start();
+  await waitFor(() => events.length === 1);
+
+  answerHeartbeats = false;
+  await waitFor(() => events.length === 4);
+  await waitFor(() => joins().length === 2);
+
+  expect(events.map(([event]) => event)).toEqual([
+    'topBidUpdated',
+    'disconnected',
+    'reconnected',
+    'topBidUpdated',
+  ]);
+  expect(events[1][1].code).toBe(1006); // terminated, not closed cleanly
+  expect(getTopCollectionOffer).toHaveBeenCalledTimes(2);
+  expect(events[3][1]).toMatchObject({
+    collection: COLLECTION.contract,
+    bid: { amount: '600', orderHash: '0xbb' },
+    previous: { amount: '500', orderHash: '0xaa' },
+  });
+});
+
+test('stores a higher streamed collection offer', async () => {
+  getTopCollectionOffer.mockResolvedValue(offer('500', '0xaa'));
+  OpenseaStreamFeed.start();
+  await once(OpenseaStreamFeed, 'topBidUpdated');
+
+  const [socket] = server.clients;
+  socket.send(
+    JSON.stringify({
+      topic: 'collection:seed',
+      event: 'collection_offer',
+      payload: {
+        payload: {
+          collection: { slug: 'seed' },
+          base_price: '1400',
+          quantity: 2,
+          order_hash: '0xcc',
+        },
+      },
+    }),
+  );
+  const [update] = await once(OpenseaStreamFeed, 'topBidUpdated');
+  expect(update.bid).toMatchObject({ amount: '700', orderHash: '0xcc' });
+});
+
+test('reseeds on expiries beyond the longest timer Node supports', () => {
+  jest.useFakeTimers();
+  const seedCollection = jest
+    .spyOn(OpenseaStreamFeed, 'seedCollection')
+    .mockResolvedValue();
+  const days30 = 30 * 24 * 60 * 60 * 1000;
+  try {
+    OpenseaStreamFeed.scheduleExpiryReseed(COLLECTION, {
+      ...offer('500', '0xaa'),
+      expiresAt: Math.floor((Date.now() + days30) / 1000),
+    });
+    jest.advanceTimersByTime(days30 - 1000);
+    expect(seedCollection).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(2000);
+    expect(seedCollection).toHaveBeenCalledTimes(1);
+    expect(seedCollection).toHaveBeenCalledWith(COLLECTION);
+  } finally {
+    seedCollection.mockRestore();
+    jest.useRealTimers();
+  }
+});
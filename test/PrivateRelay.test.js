@@ -0,0 +1,171 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import { ethers } from 'ethers';
+
+const AUTH_KEY =
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const WALLET_KEY =
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+// A stand-in chain: every bundle the relay receives is followed by a new
+// block, which includes the transaction once `includeAt` is reached
+let head;
+let includeAt;
+let receipts;
+const chain = {
+  getBlockNumber: async () => head,
+  getTransactionReceipt: async (hash) => receipts.get(hash) ?? null,
+  getNetwork: async () => ethers.Network.from(1),
+  broadcastTransaction: jest.fn(async () => {}),
+};
+
+// A stand-in relay that records every request
+let server;
+let requests;
+let PrivateRelay;
+let TransactionManager;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push({ body, headers: req.headers, request });
+
+      const [{ txs, blockNumber }] = request.params;
+      head = Number(blockNumber);
+      if (includeAt !== null && head >= includeAt) {
+        const hash = ethers.Transaction.from(txs[0]).hash;
+        receipts.set(hash, { hash, blockNumber: head, status: 1 });
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          id: request.id,
+          result: { bundleHash: ethers.id(body) },
+        }),
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.RELAY_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.RELAY_AUTH_KEY = AUTH_KEY;
+  process.env.RELAY_DEADLINE_BLOCKS = '3';
+  process.env.RELAY_POLL_INTERVAL = '5';
+  process.env.PRIVATE_KEY = WALLET_KEY;
+  ({ default: PrivateRelay } = await import('../src/services/PrivateRelay.js'));
+  ({ default: TransactionManager } = await import(
+    '../src/services/TransactionManager.js'
+  ));
+  PrivateRelay.provider = chain;
+  TransactionManager.provider = chain;
+  TransactionManager.wallet = new ethers.Wallet(WALLET_KEY, chain);
+});
+
+beforeEach(() => {
+  head = 100;
+  includeAt = null;
+  receipts = new Map();
+  requests = [];
+  chain.broadcastTransaction.mockClear();
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const transaction = {
+  type: 2,
+  chainId: 1,
+  to: '0x0000000000000068F116a894984e2DB1123eB395',
+  data: '0x12345678',
+  value: 0n,
+  gasLimit: 300000n,
+  maxFeePerGas: 30n * 10n ** 9n,
+  maxPriorityFeePerGas: 2n * 10n ** 9n,
+  nonce: 7,
+};
+
+const sign = () => new ethers.Wallet(WALLET_KEY).signTransaction(transaction);
+
+test('signs each eth_sendBundle body with the auth key', async () => {
+  const signed = await sign();
+  await PrivateRelay.sendBundle([signed], 101);
+
+  const [{ body, headers, request }] = requests;
+  expect(request).toMatchObject({
+    jsonrpc: '2.0',
+    method: 'eth_sendBundle',
+    params: [{ txs: [signed], blockNumber: '0x65' }],
+  });
+  const [signer, signature] = headers['x-flashbots-signature'].split(':');
+  const auth = new ethers.Wallet(AUTH_KEY);
+  expect(signer).toBe(auth.address);
+  expect(ethers.verifyMessage(ethers.id(body), signature)).toBe(auth.address);
+});
+
+test('retargets the bundle at every block until it lands', async () => {
+  const signed = await sign();
+  includeAt = 102;
+  const landed = await PrivateRelay.submit(
+    signed,
+    ethers.Transaction.from(signed).hash,
+  );
+
+  expect(landed).toBe(true);
+  expect(requests.map(({ request }) => request.params[0].blockNumber)).toEqual([
+    '0x65',
+    '0x66',
+  ]);
+});
+
+test('gives up at the deadline block', async () => {
+  const signed = await sign();
+  const landed = await PrivateRelay.submit(
+    signed,
+    ethers.Transaction.from(signed).hash,
+  );
+
+  expect(landed).toBe(false);
+  expect(requests.map(({ request }) => request.params[0].blockNumber)).toEqual([
+    '0x65',
+    '0x66',
+    '0x67',
+  ]);
+});
+
+test('broadcasts publicly when the relay never includes it', async () => {
+  const tx = await TransactionManager.sendPrivately(
+    transaction,
+    PrivateRelay,
+    'acceptance',
+  );
+
+  expect(requests).toHaveLength(3);
+  expect(requests[0].request.params[0].txs[0]).toBe(tx.serialized);
+  expect(chain.broadcastTransaction).toHaveBeenCalledWith(tx.serialized);
+});
+
+test('does not broadcast what the relay got mined', async () => {
+  includeAt = 101;
+  const tx = await TransactionManager.sendPrivately(
+    transaction,
+    PrivateRelay,
+    'acceptance',
+  );
+
+  expect(receipts.has(tx.hash)).toBe(true);
+  expect(chain.broadcastTransaction).not.toHaveBeenCalled();
+});
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Stands in for Seaport in the acceptance tests. Any fulfillment call
+// succeeds and is logged with its calldata until an order is cancelled;
+// from then on every fulfillment reverts the way Seaport does.
+contract MockSeaport {
+    error OrderIsCancelled(bytes32 orderHash);
+
+    event Fulfilled(address indexed fulfiller, uint256 value, bytes data);
+
+    bytes32 public cancelledOrder;
+
+    function cancelOrder(bytes32 orderHash) external {
+        cancelledOrder = orderHash;
+    }
+
+    fallback(bytes calldata data) external payable returns (bytes memory) {
+        if (cancelledOrder != bytes32(0)) {
+            revert OrderIsCancelled(cancelledOrder);
+        }
+        emit Fulfilled(msg.sender, msg.value, data);
+        return abi.encode(true);
+    }
+}
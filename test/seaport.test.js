@@ -0,0 +1,221 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import {
+  buildOfferComponents,
+  encodeFulfillment,
+  getOrderHash,
+  signOrderComponents,
+} from '../src/utils/seaport.js';
+
+// Hardhat's first account
+const wallet = new ethers.Wallet(
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+);
+const COLLECTION = '0x71d1e9741da1e25ffd377be56d133359492b9c3b';
+const SIGNED_ZONE = '0x000056F7000000EcE9003ca63978907a00FFD100';
+const OPENSEA_FEE = '0x0000a26b00c1F0DF003000390027140000fAa719';
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const SALT =
+  '24446860302761739304752683030156737591518664810215442929804277087580590940521';
+
+// Seaport 1.6 on mainnet, as seen by its own contract
+const SEAPORT = '0x0000000000000068F116a894984e2DB1123eB395';
+const ORDER_TYPEHASH =
+  '0xfa445660b7e21515a59617fcd68910b487aa5808b8abda3d78bc85df364b2c2f';
+const OFFER_ITEM_TYPEHASH = ethers.id(
+  'OfferItem(uint8 itemType,address token,uint256 identifierOrCriteria,uint256 startAmount,uint256 endAmount)',
+);
+const CONSIDERATION_ITEM_TYPEHASH = ethers.id(
+  'ConsiderationItem(uint8 itemType,address token,uint256 identifierOrCriteria,uint256 startAmount,uint256 endAmount,address recipient)',
+);
+const DOMAIN_TYPEHASH = ethers.id(
+  'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)',
+);
+
+// Pinned for the order below, signed with the key above
+const ORDER_HASH =
+  '0xb258253d00833e1e1722aca169bf08e19f21c120b591ad529a13618a3703fd0b';
+const SIGNATURE =
+  '0xffd2279b9ed803b8cd485a8a6fb20536ccb2af45c7d590d2da19f356531ce4ab2792744bec684a1225f81a27506b5a4630020501a0144d59a68e1a547a09122f1c';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const hashEncoded = (types, values) =>
+  ethers.keccak256(coder.encode(types, values));
+
+// The order hash the way Seaport derives it on chain
+const seaportOrderHash = (order) => {
+  const offerHashes = order.offer.map((item) =>
+    hashEncoded(
+      ['bytes32', 'uint8', 'address', 'uint256', 'uint256', 'uint256'],
+      [
+        OFFER_ITEM_TYPEHASH,
+        item.itemType,
+        item.token,
+        item.identifierOrCriteria,
+        item.startAmount,
+        item.endAmount,
+      ],
+    ),
+  );
+  const considerationHashes = order.consideration.map((item) =>
+    hashEncoded(
+      [
+        'bytes32',
+        'uint8',
+        'address',
+        'uint256',
+        'uint256',
+        'uint256',
+        'address',
+      ],
+      [
+        CONSIDERATION_ITEM_TYPEHASH,
+        item.itemType,
+        item.token,
+        item.identifierOrCriteria,
+        item.startAmount,
+        item.endAmount,
+        item.recipient,
+      ],
+    ),
+  );
+  return hashEncoded(
+    [
+      'bytes32',
+      'address',
+      'address',
+      'bytes32',
+      'bytes32',
+      'uint8',
+      'uint256',
+      'uint256',
+      'bytes32',
+      'uint256',
+      'bytes32',
+      'uint256',
+    ],
+    [
+      ORDER_TYPEHASH,
+      order.offerer,
+      order.zone,
+      ethers.keccak256(ethers.concat(offerHashes)),
+      ethers.keccak256(ethers.concat(considerationHashes)),
+      order.orderType,
+      order.startTime,
+      order.endTime,
+      order.zoneHash,
+      order.salt,
+      order.conduitKey,
+      order.counter,
+    ],
+  );
+};
+
+const buildOrder = () => ({
+  ...buildOfferComponents({
+    offerer: wallet.address,
+    amount: ethers.parseEther('1'),
+    quantity: 2,
+    partialParameters: {
+      consideration: [
+        {
+          itemType: 4, // ERC721_WITH_CRITERIA
+          token: COLLECTION,
+          identifierOrCriteria: '0',
+          startAmount: '2',
+          endAmount: '2',
+          recipient: wallet.address,
+        },
+      ],
+      zone: SIGNED_ZONE,
+      zoneHash: ethers.ZeroHash,
+    },
+    fees: [
+      { type: 'marketplace', bps: 100, recipient: OPENSEA_FEE },
+      { type: 'creator', bps: 500, recipient: CREATOR },
+    ],
+    startTime: 1700000000,
+    endTime: 1700086400,
+    counter: 0n,
+  }),
+  salt: SALT,
+});
+
+test('builds a partial restricted WETH offer paying each fee', () => {
+  const order = buildOrder();
+  expect(order.orderType).toBe(3); // PARTIAL_RESTRICTED
+  expect(order.offer).toEqual([
+    expect.objectContaining({
+      itemType: 1,
+      startAmount: '2000000000000000000',
+      endAmount: '2000000000000000000',
+    }),
+  ]);
+  expect(
+    order.consideration.map((item) => [item.recipient, item.startAmount]),
+  ).toEqual([
+    [wallet.address, '2'],
+    [OPENSEA_FEE, '20000000000000000'],
+    [CREATOR, '100000000000000000'],
+  ]);
+  expect(order.totalOriginalConsiderationItems).toBe(3);
+});
+
+test('hashes the order the way Seaport 1.6 does', () => {
+  const order = buildOrder();
+  expect(getOrderHash(order)).toBe(seaportOrderHash(order));
+  expect(getOrderHash(order)).toBe(ORDER_HASH);
+});
+
+test('signs the EIP-712 digest under the Seaport 1.6 domain', async () => {
+  const order = buildOrder();
+  const signature = await signOrderComponents(wallet, order);
+  expect(signature).toBe(SIGNATURE);
+
+  const domainSeparator = hashEncoded(
+    ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+    [DOMAIN_TYPEHASH, ethers.id('Seaport'), ethers.id('1.6'), 1, SEAPORT],
+  );
+  const digest = ethers.keccak256(
+    ethers.concat(['0x1901', domainSeparator, ORDER_HASH]),
+  );
+  expect(ethers.recoverAddress(digest, signature)).toBe(wallet.address);
+});
+
+// fulfillment_data transactions as Opensea returns them, with the calldata
+// each has to encode to
+const fulfillments = JSON.parse(
+  fs.readFileSync(
+    new URL('./fixtures/opensea-fulfillment.json', import.meta.url),
+    'utf-8',
+  ),
+);
+
+test.each([
+  ['fulfillAdvancedOrder', '0xe7acab24'],
+  ['matchAdvancedOrders', '0xf2d12b12'],
+])('encodes %s fulfillment data', (name, selector) => {
+  const { transaction, calldata } = fulfillments[name];
+  const encoded = encodeFulfillment(transaction);
+  expect(encoded).toBe(calldata);
+  expect(encoded.slice(0, 10)).toBe(selector);
+
+  // Decoded with the signature Opensea sent, not our ABI
+  const decoded = new ethers.Interface([
+    `function ${transaction.function}`,
+  ]).decodeFunctionData(name, encoded);
+  expect(decoded.at(-1)).toBe(transaction.input_data.recipient);
+});
+
+test('refuses fulfillment data it cannot encode', () => {
+  const { transaction } = fulfillments.fulfillAdvancedOrder;
+  expect(() =>
+    encodeFulfillment({ ...transaction, function: 'fulfillBasicOrder(...)' }),
+  ).toThrow('Unsupported Seaport fulfillment');
+
+  const { recipient, ...inputData } = transaction.input_data;
+  expect(recipient).toBeDefined();
+  expect(() =>
+    encodeFulfillment({ ...transaction, input_data: inputData }),
+  ).toThrow('Fulfillment data is missing fulfillAdvancedOrder.recipient');
+});